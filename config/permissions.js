@@ -0,0 +1,128 @@
+// Default role-to-permission mapping.
+//
+// A permission can carry a scope suffix that limits it to certain resources:
+//   ":own"     - the user's own record, an assignment assigned to them, or a project they are a member of
+//   ":managed" - a project the user manages, or anything belonging to such a project
+// Without a suffix the permission applies to every resource.
+//
+// Set PERMISSIONS_CONFIG to the path of a JSON file with the same shape to override the mapping per role.
+module.exports = {
+  admin: [
+    "user:list",
+    "user:view",
+    "user:create",
+    "user:update",
+    "user:delete",
+    "user:view-rate",
+    "user:manage-rate",
+    "user:view-stats",
+    "invitation:create",
+    "invitation:create-privileged",
+    "invitation:view",
+    "invitation:manage",
+    "engineer:list",
+    "engineer:view",
+    "engineer:view-workload",
+    "engineer:update-metrics",
+    "engineer:refresh-metrics",
+    "project:view",
+    "project:create",
+    "project:update",
+    "project:delete",
+    "project:manage-team",
+    "project:assign-manager",
+    "project:upload-file",
+    "project:set-storage-quota",
+    "project:configure-workflow",
+    "project:view-costs",
+    "project:manage-expenses",
+    "project:manage-billing-rates",
+    "assignment:view",
+    "assignment:create",
+    "assignment:update",
+    "assignment:update-progress",
+    "assignment:delete",
+    "assignment:comment",
+    "assignment:upload-file",
+    "assignment:log-time:own",
+    "time-entry:review",
+    "timesheet:submit",
+    "timesheet:review",
+    "timesheet:manage-locks",
+    "timer:manage",
+    "time-off:request",
+    "time-off:review",
+    "holiday:view",
+    "holiday:manage",
+    "skill:view",
+    "skill:manage",
+    "skill:endorse",
+    "analytics:view-dashboard",
+    "analytics:view-utilization",
+    "analytics:view-projects",
+    "analytics:view-time-tracking",
+    "audit:view",
+  ],
+  manager: [
+    "user:list",
+    "user:view",
+    "user:update:own",
+    "user:view-rate",
+    "user:view-stats",
+    "invitation:create",
+    "invitation:view:own",
+    "invitation:manage:own",
+    "engineer:list",
+    "engineer:view",
+    "engineer:view-workload",
+    "engineer:update-metrics",
+    "project:view:managed",
+    "project:create",
+    "project:update:managed",
+    "project:delete:managed",
+    "project:manage-team:managed",
+    "project:upload-file:managed",
+    "project:view-costs:managed",
+    "project:manage-expenses:managed",
+    "assignment:view:managed",
+    "assignment:create:managed",
+    "assignment:update:managed",
+    "assignment:update-progress:own",
+    "assignment:delete:managed",
+    "assignment:comment:managed",
+    "assignment:upload-file:managed",
+    "assignment:log-time:own",
+    "time-entry:review:managed",
+    "timesheet:submit",
+    "timesheet:review:managed",
+    "timer:manage:managed",
+    "time-off:request",
+    "time-off:review:managed",
+    "holiday:view",
+    "skill:view",
+    "skill:endorse:managed",
+    "analytics:view-dashboard",
+    "analytics:view-utilization",
+    "analytics:view-projects:managed",
+    "analytics:view-time-tracking:managed",
+  ],
+  engineer: [
+    "user:view:own",
+    "user:update:own",
+    "user:view-rate:own",
+    "engineer:view:own",
+    "engineer:view-workload:own",
+    "project:view:own",
+    "assignment:view:own",
+    "assignment:update-progress:own",
+    "assignment:comment:own",
+    "assignment:upload-file:own",
+    "assignment:log-time:own",
+    "timesheet:submit",
+    "time-off:request",
+    "holiday:view",
+    "skill:view",
+    "analytics:view-dashboard",
+    "analytics:view-time-tracking:own",
+  ],
+}
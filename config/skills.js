@@ -0,0 +1,33 @@
+// Starting skill catalogue, loaded by the seed and skill migration scripts. Aliases are matched
+// case-insensitively, so "reactjs" and "ReactJS" both resolve to React.
+module.exports = [
+  { name: "JavaScript", category: "language", aliases: ["js", "ecmascript"] },
+  { name: "TypeScript", category: "language", aliases: ["ts"] },
+  { name: "Python", category: "language", aliases: ["py"] },
+  { name: "Go", category: "language", aliases: ["golang"] },
+  { name: "Swift", category: "language", aliases: [] },
+  { name: "Kotlin", category: "language", aliases: [] },
+  { name: "React", category: "framework", aliases: ["reactjs", "react.js"] },
+  { name: "React Native", category: "framework", aliases: ["react-native"] },
+  { name: "Vue.js", category: "framework", aliases: ["vue", "vuejs"] },
+  { name: "Node.js", category: "framework", aliases: ["node", "nodejs"] },
+  { name: "Express.js", category: "framework", aliases: ["express", "expressjs"] },
+  { name: "GraphQL", category: "framework", aliases: ["gql"] },
+  { name: "Flutter", category: "framework", aliases: [] },
+  { name: "TensorFlow", category: "framework", aliases: [] },
+  { name: "PyTorch", category: "framework", aliases: ["torch"] },
+  { name: "iOS", category: "framework", aliases: [] },
+  { name: "Android", category: "framework", aliases: [] },
+  { name: "MongoDB", category: "database", aliases: ["mongo"] },
+  { name: "PostgreSQL", category: "database", aliases: ["postgres", "psql"] },
+  { name: "AWS", category: "cloud", aliases: ["amazon web services"] },
+  { name: "Docker", category: "devops", aliases: [] },
+  { name: "Kubernetes", category: "devops", aliases: ["k8s"] },
+  { name: "Terraform", category: "devops", aliases: [] },
+  { name: "Jest", category: "tool", aliases: [] },
+  { name: "Cypress", category: "tool", aliases: [] },
+  { name: "Selenium", category: "tool", aliases: [] },
+  { name: "Machine Learning", category: "practice", aliases: ["ml"] },
+  { name: "Test Automation", category: "practice", aliases: ["automated testing"] },
+  { name: "Project Management", category: "practice", aliases: ["pm"] },
+]
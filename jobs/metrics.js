@@ -0,0 +1,89 @@
+const User = require("../models/User")
+const Project = require("../models/Project")
+const {
+  refreshEngineerMetrics,
+  computeProjectMetrics,
+  departmentMetrics,
+  snapshotEngineerMetrics,
+  snapshotDepartmentMetrics,
+  snapshotProjectMetrics,
+} = require("../utils/metrics")
+
+const HOUR_MS = 60 * 60 * 1000
+
+// The run in progress, if any
+let running = null
+
+// Recompute metrics for every active engineer and store today's engineer, department and project snapshots
+const refreshAllMetrics = async () => {
+  const now = new Date()
+  const engineers = await User.find({ role: "engineer", isActive: true })
+  const results = []
+  let failed = 0
+
+  for (const engineer of engineers) {
+    try {
+      const metrics = await refreshEngineerMetrics(engineer, { now })
+      await snapshotEngineerMetrics(engineer, metrics, { now })
+      results.push({ department: engineer.department, metrics })
+    } catch (error) {
+      failed += 1
+      console.error(`Metrics job error for user ${engineer._id}:`, error)
+    }
+  }
+
+  const departments = departmentMetrics(results)
+  for (const { department, metrics } of departments) {
+    await snapshotDepartmentMetrics(department, metrics, { now })
+  }
+
+  const projects = await Project.find({ status: { $in: ["planning", "active", "on-hold"] } })
+  for (const project of projects) {
+    try {
+      // Catch up on cost changes made outside the app (imports, direct database edits)
+      await project.updateBudgetUsed()
+      const metrics = await computeProjectMetrics(project, { now })
+      await snapshotProjectMetrics(project, metrics, { now })
+    } catch (error) {
+      failed += 1
+      console.error(`Metrics job error for project ${project._id}:`, error)
+    }
+  }
+
+  console.log(
+    `📈 Metrics refreshed for ${engineers.length} engineers, ${departments.length} departments and ${projects.length} projects (${failed} failed)`,
+  )
+  return { engineers: engineers.length, departments: departments.length, projects: projects.length, failed }
+}
+
+// Runs never overlap (they would race on project cost saves and budget alerts); while one is in
+// progress, callers get that run
+const runMetricsJob = () => {
+  if (!running) {
+    running = refreshAllMetrics().finally(() => {
+      running = null
+    })
+  }
+  return running
+}
+
+const isMetricsJobRunning = () => running !== null
+
+// Run once now, then every METRICS_JOB_INTERVAL_HOURS (24 by default). Set METRICS_JOB_ENABLED=false to disable.
+const startMetricsJob = () => {
+  if (process.env.METRICS_JOB_ENABLED === "false") return null
+
+  const intervalHours = Number.parseFloat(process.env.METRICS_JOB_INTERVAL_HOURS) || 24
+  const run = () => runMetricsJob().catch((error) => console.error("Metrics job error:", error))
+
+  run()
+  const timer = setInterval(run, intervalHours * HOUR_MS)
+  timer.unref()
+  return timer
+}
+
+module.exports = {
+  runMetricsJob,
+  isMetricsJobRunning,
+  startMetricsJob,
+}
@@ -1,5 +1,7 @@
 const jwt = require("jsonwebtoken")
 const User = require("../models/User")
+const RefreshToken = require("../models/RefreshToken")
+const { accessScope } = require("../utils/policy")
 
 // Protect routes - verify JWT token
 const protect = async (req, res, next) => {
@@ -14,6 +16,14 @@ const protect = async (req, res, next) => {
       // Verify token
       const decoded = jwt.verify(token, process.env.JWT_SECRET)
 
+      // Reject tokens whose session was logged out or revoked
+      if (!decoded.sid || !(await RefreshToken.isSessionActive(decoded.sid))) {
+        return res.status(401).json({
+          success: false,
+          message: "Session has been revoked, please log in again",
+        })
+      }
+
       // Get user from token
       const user = await User.findById(decoded.id).select("-password")
 
@@ -32,6 +42,7 @@ const protect = async (req, res, next) => {
       }
 
       req.user = user
+      req.sessionId = decoded.sid
       next()
     } catch (error) {
       console.error("Token verification error:", error)
@@ -50,6 +61,44 @@ const protect = async (req, res, next) => {
   }
 }
 
+// Allow either a normal session or a "2fa-setup" challenge token issued at login,
+// so users forced to enrol in 2FA can do so before receiving a session
+const protectOrTwoFactorSetup = async (req, res, next) => {
+  if (!req.body.challengeToken) {
+    return protect(req, res, next)
+  }
+
+  try {
+    const decoded = jwt.verify(req.body.challengeToken, process.env.JWT_SECRET)
+
+    if (decoded.purpose !== "2fa-setup") {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid challenge token",
+      })
+    }
+
+    const user = await User.findById(decoded.id).select("-password")
+
+    if (!user || !user.isActive) {
+      return res.status(401).json({
+        success: false,
+        message: "Not authorized, user not found",
+      })
+    }
+
+    req.user = user
+    req.twoFactorSetupChallenge = true
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: "Invalid or expired challenge token",
+    })
+  }
+
+  next()
+}
+
 // Authorize specific roles
 const authorize = (...roles) => {
   return (req, res, next) => {
@@ -63,31 +112,22 @@ const authorize = (...roles) => {
   }
 }
 
-// Check if user is admin or manager
-const isAdminOrManager = (req, res, next) => {
-  if (req.user.role !== "admin" && req.user.role !== "manager") {
-    return res.status(403).json({
-      success: false,
-      message: "Access denied. Admin or Manager role required.",
-    })
-  }
-  next()
-}
-
-// Check if user is admin
-const isAdmin = (req, res, next) => {
-  if (req.user.role !== "admin") {
-    return res.status(403).json({
-      success: false,
-      message: "Access denied. Admin role required.",
-    })
+// Require a permission in any scope; resource-scoped checks happen in the route with can()
+const permit = (action) => {
+  return (req, res, next) => {
+    if (!accessScope(req.user, action)) {
+      return res.status(403).json({
+        success: false,
+        message: `Access denied. Missing permission '${action}'.`,
+      })
+    }
+    next()
   }
-  next()
 }
 
 module.exports = {
   protect,
+  protectOrTwoFactorSetup,
   authorize,
-  isAdminOrManager,
-  isAdmin,
+  permit,
 }
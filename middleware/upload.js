@@ -0,0 +1,72 @@
+const multer = require("multer")
+
+const DEFAULT_ALLOWED_TYPES = [
+  "application/pdf",
+  "application/zip",
+  "application/json",
+  "application/msword",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  "application/vnd.ms-excel",
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  "application/vnd.ms-powerpoint",
+  "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+  "image/png",
+  "image/jpeg",
+  "image/gif",
+  "image/webp",
+  "text/plain",
+  "text/csv",
+  "text/markdown",
+]
+
+// Comma-separated UPLOAD_ALLOWED_TYPES replaces the default list
+const allowedTypes = () =>
+  process.env.UPLOAD_ALLOWED_TYPES
+    ? process.env.UPLOAD_ALLOWED_TYPES.split(",").map((type) => type.trim())
+    : DEFAULT_ALLOWED_TYPES
+
+const maxUploadSize = () => (Number.parseInt(process.env.MAX_UPLOAD_SIZE_MB) || 10) * 1024 * 1024
+
+// Accept a single file held in memory, so the storage driver decides where it ends up
+const uploadSingle = (field) => (req, res, next) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxUploadSize(), files: 1 },
+    fileFilter: (req, file, cb) => {
+      if (!allowedTypes().includes(file.mimetype)) {
+        const error = new Error(`File type '${file.mimetype}' is not allowed`)
+        error.statusCode = 415
+        return cb(error)
+      }
+      cb(null, true)
+    },
+  }).single(field)
+
+  upload(req, res, (error) => {
+    if (!error) {
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: `Please attach a file in the '${field}' field`,
+        })
+      }
+      return next()
+    }
+
+    if (error.code === "LIMIT_FILE_SIZE") {
+      return res.status(413).json({
+        success: false,
+        message: `File exceeds the ${maxUploadSize() / (1024 * 1024)}MB upload limit`,
+      })
+    }
+
+    res.status(error.statusCode || 400).json({
+      success: false,
+      message: error.message,
+    })
+  })
+}
+
+module.exports = {
+  uploadSingle,
+}
@@ -19,6 +19,10 @@ const AssignmentSchema = new mongoose.Schema(
       ref: "Project",
       required: [true, "Project is required"],
     },
+    // Optional milestone (subdocument id within the project's milestones)
+    milestone: {
+      type: mongoose.Schema.ObjectId,
+    },
     assignee: {
       type: mongoose.Schema.ObjectId,
       ref: "User",
@@ -31,7 +35,7 @@ const AssignmentSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ["pending", "active", "in-progress", "completed", "cancelled", "on-hold"],
+      enum: ["pending", "active", "in-progress", "review", "completed", "cancelled", "on-hold"],
       default: "active",
     },
     priority: {
@@ -113,10 +117,31 @@ const AssignmentSchema = new mongoose.Schema(
           trim: true,
           maxlength: [200, "Time entry description cannot exceed 200 characters"],
         },
+        user: {
+          type: mongoose.Schema.ObjectId,
+          ref: "User",
+        },
+        // Only approved entries count towards actualHours; approved entries are locked
+        status: {
+          type: String,
+          enum: ["pending", "approved", "rejected"],
+          default: "pending",
+        },
+        reviewedBy: {
+          type: mongoose.Schema.ObjectId,
+          ref: "User",
+        },
+        reviewedAt: Date,
+        reviewComment: {
+          type: String,
+          trim: true,
+          maxlength: [500, "Review comment cannot exceed 500 characters"],
+        },
         createdAt: {
           type: Date,
           default: Date.now,
         },
+        updatedAt: Date,
       },
     ],
     attachments: [
@@ -125,6 +150,7 @@ const AssignmentSchema = new mongoose.Schema(
         originalName: String,
         path: String,
         size: Number,
+        mimeType: String,
         uploadedBy: {
           type: mongoose.Schema.ObjectId,
           ref: "User",
@@ -135,6 +161,26 @@ const AssignmentSchema = new mongoose.Schema(
         },
       },
     ],
+    // Field-level change timeline, appended automatically on save
+    history: [
+      {
+        field: {
+          type: String,
+          required: true,
+        },
+        from: mongoose.Schema.Types.Mixed,
+        to: mongoose.Schema.Types.Mixed,
+        changedBy: {
+          type: mongoose.Schema.ObjectId,
+          ref: "User",
+        },
+        changedAt: {
+          type: Date,
+          default: Date.now,
+        },
+        reason: String,
+      },
+    ],
     isActive: {
       type: Boolean,
       default: true,
@@ -155,9 +201,11 @@ AssignmentSchema.virtual("daysUntilDeadline").get(function () {
   return Math.ceil(diffTime / (1000 * 60 * 60 * 24))
 })
 
-// Virtual for total logged hours
+// Virtual for total logged hours (pending and approved entries)
 AssignmentSchema.virtual("totalLoggedHours").get(function () {
-  return this.timeEntries.reduce((total, entry) => total + entry.hours, 0)
+  return this.timeEntries
+    .filter((entry) => entry.status !== "rejected")
+    .reduce((total, entry) => total + entry.hours, 0)
 })
 
 // Virtual for efficiency percentage
@@ -175,26 +223,81 @@ AssignmentSchema.index({ priority: 1 })
 AssignmentSchema.index({ deadline: 1 })
 AssignmentSchema.index({ assignedBy: 1 })
 
-// Update actual hours when time entries change
+// Actual hours are derived from approved time entries only. Remember whether the project cost may
+// have changed so budgetUsed can be recalculated after saving.
 AssignmentSchema.pre("save", function (next) {
   if (this.isModified("timeEntries")) {
-    this.actualHours = this.timeEntries.reduce((total, entry) => total + entry.hours, 0)
+    this.actualHours = this.timeEntries
+      .filter((entry) => entry.status === "approved")
+      .reduce((total, entry) => total + entry.hours, 0)
   }
 
-  // Auto-complete if progress is 100%
-  if (this.progress === 100 && this.status !== "completed") {
-    this.status = "completed"
-    this.completedAt = new Date()
-  }
+  this.$locals.costChanged = this.isModified("timeEntries") || (!this.isNew && this.isModified("project"))
+  next()
+})
+
+// Fields whose transitions are recorded in the history timeline
+const TRACKED_FIELDS = [
+  "title",
+  "status",
+  "priority",
+  "progress",
+  "estimatedHours",
+  "actualHours",
+  "deadline",
+  "startDate",
+  "assignee",
+  "milestone",
+]
+
+const comparable = (value) => (value instanceof Date ? value.getTime() : value && value.toString())
+
+// Remember loaded values so changes can be diffed on save
+AssignmentSchema.post("init", function () {
+  this.$locals.original = TRACKED_FIELDS.reduce((values, field) => ({ ...values, [field]: this.get(field) }), {})
+  this.$locals.loadedProject = this.project
+})
+
+// Record field transitions. Set `assignment.$locals.changedBy` to the acting user before saving;
+// a status change also records `assignment.$locals.statusReason`.
+AssignmentSchema.pre("save", function (next) {
+  const changedBy = this.$locals.changedBy || (this.isNew ? this.assignedBy : undefined)
+  const changedAt = new Date()
+
+  if (this.isNew) {
+    this.history.push({ field: "status", from: null, to: this.status, changedBy, changedAt })
+  } else {
+    const original = this.$locals.original || {}
 
-  // Set status to in-progress if progress > 0 and status is pending/active
-  if (this.progress > 0 && (this.status === "pending" || this.status === "active")) {
-    this.status = "in-progress"
+    TRACKED_FIELDS.forEach((field) => {
+      const value = this.get(field)
+      if (this.isModified(field) && comparable(original[field]) !== comparable(value)) {
+        const reason = field === "status" ? this.$locals.statusReason : undefined
+        this.history.push({ field, from: original[field], to: value, changedBy, changedAt, reason })
+      }
+    })
   }
 
+  this.$locals.original = TRACKED_FIELDS.reduce((values, field) => ({ ...values, [field]: this.get(field) }), {})
+  this.$locals.statusReason = undefined
   next()
 })
 
+// Recalculate budgetUsed when approved time may have changed, on both projects if the assignment moved.
+// Registered before the progress hook so a failure there cannot leave the cost stale.
+AssignmentSchema.post("save", async function () {
+  if (!this.$locals.costChanged) return
+
+  const Project = mongoose.model("Project")
+  const projectIds = [this.project, this.$locals.loadedProject].filter(Boolean)
+  const projects = await Project.find({ _id: { $in: projectIds } })
+
+  for (const project of projects) {
+    await project.updateBudgetUsed()
+  }
+  this.$locals.loadedProject = this.project
+})
+
 // Update project progress after assignment changes
 AssignmentSchema.post("save", async function () {
   const Project = mongoose.model("Project")
@@ -204,6 +307,16 @@ AssignmentSchema.post("save", async function () {
   }
 })
 
+// Deleting an assignment removes its time from the project cost
+AssignmentSchema.post("findOneAndDelete", async function (assignment) {
+  if (!assignment) return
+
+  const project = await mongoose.model("Project").findById(assignment.project)
+  if (project) {
+    await project.updateBudgetUsed()
+  }
+})
+
 
 // AssignmentSchema.post("save", async function () {
 //   const Project = mongoose.model("Project");
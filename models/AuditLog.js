@@ -0,0 +1,56 @@
+const mongoose = require("mongoose")
+
+const AuditLogSchema = new mongoose.Schema(
+  {
+    actor: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+    },
+    actorRole: {
+      type: String,
+    },
+    action: {
+      type: String,
+      enum: ["create", "update", "delete"],
+      required: [true, "Action is required"],
+    },
+    entity: {
+      type: String,
+      required: [true, "Entity is required"],
+      trim: true,
+    },
+    entityId: {
+      type: mongoose.Schema.ObjectId,
+    },
+    route: {
+      method: String,
+      path: String,
+    },
+    // Only the fields that changed, before and after the mutation
+    before: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    after: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    ip: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  },
+)
+
+// Index for better query performance
+AuditLogSchema.index({ createdAt: -1 })
+AuditLogSchema.index({ actor: 1, createdAt: -1 })
+AuditLogSchema.index({ entity: 1, entityId: 1, createdAt: -1 })
+
+module.exports = mongoose.model("AuditLog", AuditLogSchema)
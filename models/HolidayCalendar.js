@@ -0,0 +1,48 @@
+const mongoose = require("mongoose")
+
+// Public holidays for one or more locations. Users whose `location` matches (case-insensitive)
+// get these days removed from their available hours; the default calendar covers everyone else.
+const HolidayCalendarSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Calendar name is required"],
+      trim: true,
+      maxlength: [100, "Calendar name cannot exceed 100 characters"],
+    },
+    locations: [
+      {
+        type: String,
+        trim: true,
+        lowercase: true,
+      },
+    ],
+    isDefault: {
+      type: Boolean,
+      default: false,
+    },
+    holidays: [
+      {
+        // 00:00 UTC of the holiday
+        date: {
+          type: Date,
+          required: [true, "Holiday date is required"],
+        },
+        name: {
+          type: String,
+          required: [true, "Holiday name is required"],
+          trim: true,
+          maxlength: [100, "Holiday name cannot exceed 100 characters"],
+        },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Index for better query performance
+HolidayCalendarSchema.index({ locations: 1 })
+
+module.exports = mongoose.model("HolidayCalendar", HolidayCalendarSchema)
@@ -0,0 +1,133 @@
+const mongoose = require("mongoose")
+const crypto = require("crypto")
+const jwt = require("jsonwebtoken")
+
+const InvitationSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      required: [true, "Email is required"],
+      lowercase: true,
+      trim: true,
+      match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, "Please enter a valid email"],
+    },
+    firstName: {
+      type: String,
+      trim: true,
+      maxlength: [50, "First name cannot exceed 50 characters"],
+    },
+    lastName: {
+      type: String,
+      trim: true,
+      maxlength: [50, "Last name cannot exceed 50 characters"],
+    },
+    role: {
+      type: String,
+      enum: ["admin", "manager", "engineer"],
+      default: "engineer",
+    },
+    department: {
+      type: String,
+      enum: ["Frontend", "Backend", "Full Stack", "DevOps", "AI/ML", "Mobile", "QA", "Design"],
+      required: [true, "Department is required"],
+    },
+    // Optional profile values copied onto the user when the invitation is accepted
+    profile: {
+      experienceLevel: {
+        type: String,
+        enum: ["junior", "mid", "senior", "lead", "principal"],
+      },
+      skills: [
+        {
+          type: String,
+          trim: true,
+        },
+      ],
+      hourlyRate: Number,
+      availability: Number,
+      location: String,
+      avatar: String,
+    },
+    invitedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+      required: [true, "Invited by is required"],
+    },
+    status: {
+      type: String,
+      enum: ["pending", "accepted", "revoked"],
+      default: "pending",
+    },
+    tokenHash: {
+      type: String,
+      select: false,
+    },
+    expiresAt: {
+      type: Date,
+    },
+    acceptedAt: {
+      type: Date,
+    },
+    acceptedUser: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  },
+)
+
+InvitationSchema.virtual("isExpired").get(function () {
+  return !!(this.expiresAt && this.expiresAt <= Date.now())
+})
+
+// Index for better query performance
+InvitationSchema.index({ email: 1, status: 1 })
+InvitationSchema.index({ invitedBy: 1 })
+
+const hashNonce = (nonce) => crypto.createHash("sha256").update(nonce).digest("hex")
+
+// Sign a new invitation token. Re-issuing invalidates any previously sent token.
+InvitationSchema.methods.issueToken = function () {
+  const days = Number.parseInt(process.env.INVITE_EXPIRE_DAYS) || 7
+  const nonce = crypto.randomBytes(16).toString("hex")
+
+  this.tokenHash = hashNonce(nonce)
+  this.expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+
+  return jwt.sign({ inv: this._id, nonce, purpose: "invite" }, process.env.JWT_SECRET, {
+    expiresIn: `${days}d`,
+  })
+}
+
+// Resolve a token to its pending invitation, or null if it is invalid, used or expired
+InvitationSchema.statics.findByToken = async function (token) {
+  let decoded
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET)
+  } catch (error) {
+    return null
+  }
+
+  if (decoded.purpose !== "invite") {
+    return null
+  }
+
+  const invitation = await this.findById(decoded.inv).select("+tokenHash")
+
+  if (
+    !invitation ||
+    invitation.status !== "pending" ||
+    invitation.isExpired ||
+    invitation.tokenHash !== hashNonce(decoded.nonce)
+  ) {
+    return null
+  }
+
+  return invitation
+}
+
+module.exports = mongoose.model("Invitation", InvitationSchema)
@@ -0,0 +1,78 @@
+const mongoose = require("mongoose")
+
+// Daily record of computed metrics, written by the metrics job (jobs/metrics.js)
+const MetricSnapshotSchema = new mongoose.Schema(
+  {
+    scope: {
+      type: String,
+      enum: ["engineer", "department", "project"],
+      required: [true, "Scope is required"],
+    },
+    // Subject of the snapshot; only the field matching `scope` is set
+    user: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+    },
+    department: {
+      type: String,
+    },
+    project: {
+      type: mongoose.Schema.ObjectId,
+      ref: "Project",
+    },
+    // Day the snapshot describes (00:00 UTC)
+    date: {
+      type: Date,
+      required: [true, "Date is required"],
+    },
+    windowDays: {
+      type: Number,
+      required: true,
+    },
+    utilization: {
+      type: Number,
+      default: 0,
+    },
+    // Null when nothing was completed in the window
+    efficiency: {
+      type: Number,
+      default: null,
+    },
+    approvedHours: {
+      type: Number,
+      default: 0,
+    },
+    availableHours: {
+      type: Number,
+      default: 0,
+    },
+    // Department: engineers included; project: team size
+    headcount: {
+      type: Number,
+    },
+    // Project only
+    progress: {
+      type: Number,
+    },
+    budgetUsed: {
+      type: Number,
+    },
+    activeAssignments: {
+      type: Number,
+    },
+    // True when a manual override was in effect instead of the computed values
+    overridden: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  },
+)
+
+// One snapshot per subject per day
+MetricSnapshotSchema.index({ scope: 1, user: 1, department: 1, project: 1, date: 1 }, { unique: true })
+MetricSnapshotSchema.index({ date: 1 })
+
+module.exports = mongoose.model("MetricSnapshot", MetricSnapshotSchema)
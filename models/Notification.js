@@ -0,0 +1,51 @@
+const mongoose = require("mongoose")
+
+// An in-app notification for one user. Created through utils/notifications.js, which also emails it.
+const NotificationSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+      required: [true, "User is required"],
+    },
+    // What raised it, e.g. "budget-threshold"
+    type: {
+      type: String,
+      required: [true, "Notification type is required"],
+      trim: true,
+    },
+    title: {
+      type: String,
+      required: [true, "Title is required"],
+      trim: true,
+      maxlength: [200, "Title cannot exceed 200 characters"],
+    },
+    message: {
+      type: String,
+      trim: true,
+      maxlength: [2000, "Message cannot exceed 2000 characters"],
+    },
+    // The record it is about
+    entity: {
+      type: String,
+      trim: true,
+    },
+    entityId: {
+      type: mongoose.Schema.ObjectId,
+    },
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    readAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Index for better query performance
+NotificationSchema.index({ user: 1, readAt: 1, createdAt: -1 })
+
+module.exports = mongoose.model("Notification", NotificationSchema)
@@ -0,0 +1,39 @@
+const mongoose = require("mongoose")
+
+// A closed period (e.g. after payroll cut-off). Time entries dated within it cannot be created, changed or reviewed.
+const PeriodLockSchema = new mongoose.Schema(
+  {
+    // Covers startDate <= date < endDate
+    startDate: {
+      type: Date,
+      required: [true, "Start date is required"],
+    },
+    endDate: {
+      type: Date,
+      required: [true, "End date is required"],
+      validate: {
+        validator: function (value) {
+          return value > this.startDate
+        },
+        message: "End date must be after the start date",
+      },
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Reason cannot exceed 200 characters"],
+    },
+    lockedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Index for better query performance
+PeriodLockSchema.index({ startDate: 1, endDate: 1 })
+
+module.exports = mongoose.model("PeriodLock", PeriodLockSchema)
@@ -461,6 +461,79 @@
 
 
 const mongoose = require("mongoose");
+const { EXPENSE_CATEGORIES, projectCost } = require("../utils/costs");
+const { DEFAULT_ALERT_THRESHOLDS, crossedBudgetThresholds, sendBudgetAlert } = require("../utils/budget");
+
+// ✅ Milestones (order in the array is the display order)
+const MilestoneSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Milestone name is required"],
+      trim: true,
+      maxlength: [100, "Milestone name cannot exceed 100 characters"],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Milestone description cannot exceed 500 characters"],
+    },
+    dueDate: Date,
+    status: {
+      type: String,
+      enum: ["pending", "in-progress", "completed"],
+      default: "pending",
+    },
+    // Average progress of the assignments linked to this milestone
+    progress: {
+      type: Number,
+      default: 0,
+      min: 0,
+      max: 100,
+    },
+    completedAt: Date,
+  },
+  {
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+MilestoneSchema.virtual("isOverdue").get(function () {
+  return Boolean(this.dueDate) && this.status !== "completed" && this.dueDate < new Date();
+});
+
+// ✅ Non-labour costs (licences, hardware, travel, contractors, ...)
+const ExpenseSchema = new mongoose.Schema({
+  description: {
+    type: String,
+    required: [true, "Expense description is required"],
+    trim: true,
+    maxlength: [200, "Expense description cannot exceed 200 characters"],
+  },
+  amount: {
+    type: Number,
+    required: [true, "Expense amount is required"],
+    min: [0.01, "Expense amount must be positive"],
+  },
+  category: {
+    type: String,
+    enum: EXPENSE_CATEGORIES,
+    default: "other",
+  },
+  date: {
+    type: Date,
+    default: Date.now,
+  },
+  recordedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: "User",
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
 
 const ProjectSchema = new mongoose.Schema(
   {
@@ -505,11 +578,32 @@ const ProjectSchema = new mongoose.Schema(
       required: [true, "Project budget is required"],
       min: [0, "Budget cannot be negative"],
     },
+    // Approved time at hourly rates plus expenses, kept up to date by updateBudgetUsed()
     budgetUsed: {
       type: Number,
       default: 0,
       min: [0, "Budget used cannot be negative"],
     },
+    costComputedAt: {
+      type: Date,
+    },
+    // Budget utilization percentages that alert the manager and admins when budgetUsed crosses them
+    budgetAlertThresholds: {
+      type: [Number],
+      default: () => [...DEFAULT_ALERT_THRESHOLDS],
+      validate: {
+        validator: (values) => values.every((value) => value > 0 && value <= 1000),
+        message: "Budget alert thresholds must be percentages between 0 and 1000",
+      },
+    },
+    // Thresholds already alerted; cleared when spend drops back below them
+    budgetAlertsSent: [
+      {
+        threshold: Number,
+        budgetUsed: Number,
+        sentAt: Date,
+      },
+    ],
 
     manager: {
       type: mongoose.Schema.ObjectId,
@@ -549,30 +643,48 @@ const ProjectSchema = new mongoose.Schema(
       },
     ],
 
-    milestones: [
+    milestones: [MilestoneSchema],
+
+    expenses: [ExpenseSchema],
+
+    // What the client is billed per hour, separate from cost rates. An entry without `user` is the
+    // project default; each applies from `effectiveFrom` until a later entry for the same user starts.
+    billingRates: [
       {
-        name: {
-          type: String,
-          required: true,
-          trim: true,
+        user: {
+          type: mongoose.Schema.ObjectId,
+          ref: "User",
         },
-        description: String,
-        dueDate: Date,
-        status: {
-          type: String,
-          enum: ["pending", "in-progress", "completed"],
-          default: "pending",
+        rate: {
+          type: Number,
+          required: [true, "Billing rate is required"],
+          min: [0, "Billing rate cannot be negative"],
+        },
+        effectiveFrom: {
+          type: Date,
+          default: () => new Date(0),
         },
-        completedAt: Date,
       },
     ],
 
+    // Custom assignment workflow (status -> allowed next statuses); unset uses the default in utils/workflow.js
+    workflow: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+
+    // Overrides PROJECT_STORAGE_QUOTA_MB for this project's attachments
+    storageQuotaMB: {
+      type: Number,
+      min: [0, "Storage quota cannot be negative"],
+    },
+
     attachments: [
       {
         filename: String,
         originalName: String,
         path: String,
         size: Number,
+        mimeType: String,
         uploadedBy: {
           type: mongoose.Schema.ObjectId,
           ref: "User",
@@ -628,7 +740,50 @@ ProjectSchema.methods.updateProgress = async function () {
     this.progress = Math.round(total / assignments.length);
   }
 
-  await this.save();
+  // Milestone progress comes from the assignments linked to it
+  this.milestones.forEach((milestone) => {
+    const linked = assignments.filter((a) => a.milestone && a.milestone.equals(milestone._id));
+    const total = linked.reduce((sum, a) => sum + (a.progress || 0), 0);
+    milestone.progress = linked.length > 0 ? Math.round(total / linked.length) : 0;
+
+    if (milestone.progress > 0 && milestone.status === "pending") {
+      milestone.status = "in-progress";
+    }
+  });
+
+  // Only progress fields are validated, so assignment saves on overdue projects still go through
+  await this.save({ validateModifiedOnly: true });
+};
+
+// ✅ Billing rate for a user's time on a date (their own rate, else the project default); null if not billable
+ProjectSchema.methods.billingRateOn = function (userId, date = new Date()) {
+  const time = new Date(date).getTime();
+  const latest = (entries) =>
+    entries
+      .filter((entry) => entry.effectiveFrom.getTime() <= time)
+      .sort((a, b) => b.effectiveFrom - a.effectiveFrom)[0];
+
+  const rates = this.billingRates || [];
+  const own = latest(rates.filter((entry) => entry.user && entry.user.toString() === String(userId)));
+  const fallback = latest(rates.filter((entry) => !entry.user));
+  const rate = own || fallback;
+
+  return rate ? rate.rate : null;
+};
+
+// ✅ Recalculate budgetUsed from approved time and expenses (see utils/costs.js)
+ProjectSchema.methods.updateBudgetUsed = async function () {
+  this.budgetUsed = await projectCost(this);
+  this.costComputedAt = new Date();
+  const crossed = crossedBudgetThresholds(this);
+
+  // Only the cost fields are validated, so overdue projects can still be updated
+  await this.save({ validateModifiedOnly: true });
+
+  // One alert for the highest threshold crossed
+  if (crossed.length > 0) {
+    await sendBudgetAlert(this, Math.max(...crossed));
+  }
 };
 
 // ✅ Pre-save middleware to update status
@@ -0,0 +1,118 @@
+const mongoose = require("mongoose")
+const crypto = require("crypto")
+
+const RefreshTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+      required: [true, "User is required"],
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // All tokens issued from a single login share a family (the session id)
+    family: {
+      type: String,
+      required: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    replacedBy: {
+      type: String,
+    },
+    usedAt: {
+      type: Date,
+    },
+    revokedAt: {
+      type: Date,
+    },
+    revokedReason: {
+      type: String,
+      enum: ["logout", "reuse-detected", "password-change", "admin"],
+    },
+    createdByIp: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Index for better query performance
+RefreshTokenSchema.index({ user: 1 })
+RefreshTokenSchema.index({ family: 1 })
+// Let MongoDB clean up expired tokens
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex")
+
+const refreshExpiry = () => {
+  const days = Number.parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+}
+
+// Issue a refresh token; starts a new family (session) unless one is given
+RefreshTokenSchema.statics.issue = async function (userId, { family, ip } = {}) {
+  const token = crypto.randomBytes(40).toString("hex")
+  const doc = await this.create({
+    user: userId,
+    tokenHash: hashToken(token),
+    family: family || crypto.randomUUID(),
+    expiresAt: refreshExpiry(),
+    createdByIp: ip,
+  })
+
+  return { token, family: doc.family, doc }
+}
+
+// Exchange a refresh token for a new one. Presenting a token that was already
+// rotated means it leaked, so the whole family is revoked.
+RefreshTokenSchema.statics.rotate = async function (token, { ip } = {}) {
+  const tokenHash = hashToken(token)
+  const now = new Date()
+
+  // Claim the token in a single update so concurrent requests cannot both rotate it
+  const existing = await this.findOneAndUpdate(
+    { tokenHash, usedAt: null, revokedAt: null, expiresAt: { $gt: now } },
+    { usedAt: now },
+    { new: true },
+  )
+
+  if (!existing) {
+    const stale = await this.findOne({ tokenHash })
+
+    if (stale && stale.usedAt) {
+      await this.revokeFamily(stale.family, "reuse-detected")
+      return { error: "reused", user: stale.user }
+    }
+
+    return { error: "invalid" }
+  }
+
+  const next = await this.issue(existing.user, { family: existing.family, ip })
+  await this.updateOne({ _id: existing._id }, { replacedBy: next.doc.tokenHash })
+
+  return { token: next.token, family: existing.family, user: existing.user }
+}
+
+RefreshTokenSchema.statics.revokeFamily = function (family, reason = "logout") {
+  return this.updateMany({ family, revokedAt: null }, { revokedAt: new Date(), revokedReason: reason })
+}
+
+RefreshTokenSchema.statics.revokeAllForUser = function (userId, reason = "logout") {
+  return this.updateMany({ user: userId, revokedAt: null }, { revokedAt: new Date(), revokedReason: reason })
+}
+
+// A session stays valid while its family holds an unrevoked, unexpired token
+RefreshTokenSchema.statics.isSessionActive = async function (family) {
+  const active = await this.exists({ family, revokedAt: null, expiresAt: { $gt: new Date() } })
+  return !!active
+}
+
+module.exports = mongoose.model("RefreshToken", RefreshTokenSchema)
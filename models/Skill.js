@@ -0,0 +1,54 @@
+const mongoose = require("mongoose")
+
+// Lookup key for skill names and aliases: "  React  Native " -> "react native"
+const skillKey = (name) => String(name).trim().replace(/\s+/g, " ").toLowerCase()
+
+// Catalogue entry. User skills are stored under `name`; any alias resolves to it.
+const SkillSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Skill name is required"],
+      trim: true,
+      maxlength: [50, "Skill name cannot exceed 50 characters"],
+    },
+    key: {
+      type: String,
+      unique: true,
+    },
+    aliases: [
+      {
+        type: String,
+        trim: true,
+        lowercase: true,
+      },
+    ],
+    category: {
+      type: String,
+      enum: ["language", "framework", "database", "cloud", "devops", "tool", "practice", "other"],
+      default: "other",
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Description cannot exceed 200 characters"],
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+SkillSchema.pre("validate", function (next) {
+  this.key = skillKey(this.name)
+  this.aliases = [...new Set(this.aliases.map(skillKey))].filter((alias) => alias && alias !== this.key)
+  next()
+})
+
+// Index for better query performance
+SkillSchema.index({ aliases: 1 })
+SkillSchema.index({ category: 1 })
+
+SkillSchema.statics.skillKey = skillKey
+
+module.exports = mongoose.model("Skill", SkillSchema)
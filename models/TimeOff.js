@@ -0,0 +1,63 @@
+const mongoose = require("mongoose")
+
+// A user's request for time off. Once approved, capacity planning (utils/capacity.js) removes these days from their availability.
+const TimeOffSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+      required: [true, "User is required"],
+    },
+    // Covers startDate <= date < endDate
+    startDate: {
+      type: Date,
+      required: [true, "Start date is required"],
+    },
+    endDate: {
+      type: Date,
+      required: [true, "End date is required"],
+      validate: {
+        validator: function (value) {
+          return value > this.startDate
+        },
+        message: "End date must be after the start date",
+      },
+    },
+    type: {
+      type: String,
+      enum: ["vacation", "sick", "training"],
+      default: "vacation",
+    },
+    status: {
+      type: String,
+      enum: ["pending", "approved", "rejected", "cancelled"],
+      default: "pending",
+    },
+    reviewedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+    },
+    reviewedAt: {
+      type: Date,
+    },
+    reviewComment: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Review comment cannot exceed 500 characters"],
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Note cannot exceed 200 characters"],
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Index for better query performance
+TimeOffSchema.index({ user: 1, startDate: 1, endDate: 1 })
+TimeOffSchema.index({ status: 1 })
+
+module.exports = mongoose.model("TimeOff", TimeOffSchema)
@@ -0,0 +1,85 @@
+const mongoose = require("mongoose")
+
+const HOUR_MS = 60 * 60 * 1000
+
+// A running or paused stopwatch on an assignment. Each user has at most one; stopping it
+// turns it into a time entry and deletes it.
+const TimerSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+      required: [true, "User is required"],
+    },
+    assignment: {
+      type: mongoose.Schema.ObjectId,
+      ref: "Assignment",
+      required: [true, "Assignment is required"],
+    },
+    project: {
+      type: mongoose.Schema.ObjectId,
+      ref: "Project",
+    },
+    status: {
+      type: String,
+      enum: ["running", "paused"],
+      default: "running",
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Timer description cannot exceed 200 characters"],
+    },
+    // Start of the first segment; becomes the time entry date
+    startedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Start of the current running segment
+    segmentStartedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Time from earlier, already paused segments
+    accumulatedMs: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  },
+)
+
+// One timer (running or paused) per user
+TimerSchema.index({ user: 1 }, { unique: true })
+TimerSchema.index({ status: 1, segmentStartedAt: 1 })
+
+TimerSchema.methods.elapsedMs = function (now = new Date()) {
+  const running = this.status === "running" ? now - this.segmentStartedAt : 0
+  return this.accumulatedMs + Math.max(0, running)
+}
+
+// Elapsed time rounded to the nearest quarter hour, never below the 0.25h time entry minimum
+TimerSchema.methods.roundedHours = function (now) {
+  return Math.max(0.25, Math.round((this.elapsedMs(now) / HOUR_MS) * 4) / 4)
+}
+
+TimerSchema.virtual("elapsedHours").get(function () {
+  return Math.round((this.elapsedMs() / HOUR_MS) * 100) / 100
+})
+
+TimerSchema.methods.pause = function () {
+  this.accumulatedMs = this.elapsedMs()
+  this.status = "paused"
+}
+
+TimerSchema.methods.resume = function () {
+  this.segmentStartedAt = new Date()
+  this.status = "running"
+}
+
+module.exports = mongoose.model("Timer", TimerSchema)
@@ -0,0 +1,50 @@
+const mongoose = require("mongoose")
+
+// A user's week of time entries submitted for approval. The entries themselves stay on their assignments.
+const TimesheetSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+      required: [true, "User is required"],
+    },
+    // Monday 00:00 UTC of the week
+    weekStart: {
+      type: Date,
+      required: [true, "Week start is required"],
+    },
+    status: {
+      type: String,
+      enum: ["submitted", "approved", "rejected"],
+      default: "submitted",
+    },
+    totalHours: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    submittedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    reviewedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+    },
+    reviewedAt: Date,
+    reviewComment: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Review comment cannot exceed 500 characters"],
+    },
+  },
+  {
+    timestamps: true,
+  },
+)
+
+// Index for better query performance
+TimesheetSchema.index({ user: 1, weekStart: 1 }, { unique: true })
+TimesheetSchema.index({ status: 1, weekStart: -1 })
+
+module.exports = mongoose.model("Timesheet", TimesheetSchema)
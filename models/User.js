@@ -1,6 +1,10 @@
 const mongoose = require("mongoose")
 const bcrypt = require("bcryptjs")
 const jwt = require("jsonwebtoken")
+const crypto = require("crypto")
+const { verifyCode } = require("../utils/totp")
+const { ACTIVE_STATUSES } = require("../utils/workflow")
+const { resolveSkills, syncProficiencies } = require("../utils/skills")
 
 const UserSchema = new mongoose.Schema(
   {
@@ -45,16 +49,71 @@ const UserSchema = new mongoose.Schema(
       enum: ["junior", "mid", "senior", "lead", "principal"],
       default: "junior",
     },
+    // Canonical names of catalogue skills (see models/Skill.js), plus any free-form skills not yet migrated
     skills: [
       {
         type: String,
         trim: true,
       },
     ],
+    skillProficiencies: [
+      {
+        skill: {
+          type: mongoose.Schema.ObjectId,
+          ref: "Skill",
+          required: true,
+        },
+        // 1 (novice) to 5 (expert)
+        level: {
+          type: Number,
+          min: [1, "Proficiency must be between 1 and 5"],
+          max: [5, "Proficiency must be between 1 and 5"],
+          default: 3,
+        },
+        lastUsedAt: {
+          type: Date,
+        },
+        endorsedBy: {
+          type: mongoose.Schema.ObjectId,
+          ref: "User",
+        },
+        endorsedAt: {
+          type: Date,
+        },
+      },
+    ],
+    // Cost rate in effect when the user was last saved; costs use rateOn(date)
     hourlyRate: {
       type: Number,
       min: [0, "Hourly rate cannot be negative"],
     },
+    // Effective-dated cost rates, oldest first. Each applies from its day until the next one starts.
+    rateHistory: [
+      {
+        rate: {
+          type: Number,
+          required: true,
+          min: [0, "Hourly rate cannot be negative"],
+        },
+        effectiveFrom: {
+          type: Date,
+          required: true,
+        },
+        reason: {
+          type: String,
+          trim: true,
+          maxlength: [200, "Reason cannot exceed 200 characters"],
+        },
+        setBy: {
+          type: mongoose.Schema.ObjectId,
+          ref: "User",
+        },
+        createdAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
     availability: {
       type: Number,
       default: 40,
@@ -75,11 +134,11 @@ const UserSchema = new mongoose.Schema(
       type: String,
       default: "/placeholder.svg?height=64&width=64",
     },
+    // Computed by utils/metrics.js over a rolling window; utilization can exceed 100 when over-allocated
     utilization: {
       type: Number,
       default: 0,
       min: 0,
-      max: 100,
     },
     efficiency: {
       type: Number,
@@ -87,6 +146,21 @@ const UserSchema = new mongoose.Schema(
       min: 0,
       max: 100,
     },
+    metricsComputedAt: {
+      type: Date,
+    },
+    // Manual override of the computed metrics, set through PUT /api/engineers/:id/metrics
+    metricsOverride: {
+      utilization: Number,
+      efficiency: Number,
+      reason: String,
+      setBy: {
+        type: mongoose.Schema.ObjectId,
+        ref: "User",
+      },
+      setAt: Date,
+      expiresAt: Date,
+    },
     isActive: {
       type: Boolean,
       default: true,
@@ -103,6 +177,30 @@ const UserSchema = new mongoose.Schema(
     },
     resetPasswordToken: String,
     resetPasswordExpire: Date,
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      secret: {
+        type: String,
+        select: false,
+      },
+      // Secret generated during enrolment, promoted to `secret` once a code is verified
+      pendingSecret: {
+        type: String,
+        select: false,
+      },
+      recoveryCodes: {
+        type: [String],
+        select: false,
+      },
+      lastUsedStep: {
+        type: Number,
+        select: false,
+      },
+      enabledAt: Date,
+    },
   },
   {
     timestamps: true,
@@ -122,7 +220,7 @@ UserSchema.virtual("currentProjectsCount", {
   localField: "_id",
   foreignField: "assignee",
   count: true,
-  match: { status: { $in: ["active", "in-progress"] } },
+  match: { status: { $in: ACTIVE_STATUSES } },
 })
 
 // Index for better query performance
@@ -130,6 +228,8 @@ UserSchema.index({ email: 1 })
 UserSchema.index({ role: 1 })
 UserSchema.index({ department: 1 })
 UserSchema.index({ isActive: 1 })
+UserSchema.index({ skills: 1 })
+UserSchema.index({ "skillProficiencies.skill": 1 })
 
 // Check if account is locked
 UserSchema.virtual("isLocked").get(function () {
@@ -139,7 +239,7 @@ UserSchema.virtual("isLocked").get(function () {
 // Encrypt password before saving
 UserSchema.pre("save", async function (next) {
   if (!this.isModified("password")) {
-    next()
+    return next()
   }
 
   const salt = await bcrypt.genSalt(Number.parseInt(process.env.BCRYPT_ROUNDS) || 12)
@@ -147,18 +247,149 @@ UserSchema.pre("save", async function (next) {
   next()
 })
 
+// Store catalogue skills under their canonical name and keep proficiencies in step
+UserSchema.pre("save", async function (next) {
+  if (!this.isModified("skills")) {
+    return next()
+  }
+
+  const { skills, unknown } = await resolveSkills(this.skills)
+  this.skills = [...skills.map((skill) => skill.name), ...unknown]
+  syncProficiencies(this, skills)
+  next()
+})
+
+// Remember the loaded rate so the first recorded change can keep it for earlier work
+UserSchema.post("init", function () {
+  this.$locals.loadedHourlyRate = this.hourlyRate
+})
+
+// Setting hourlyRate directly starts the new rate today instead of rewriting past costs.
+// Set `user.$locals.changedBy` to the acting user before saving.
+UserSchema.pre("save", function (next) {
+  if (this.isModified("hourlyRate") && !this.isModified("rateHistory") && this.hourlyRate != null) {
+    this.setRate(this.hourlyRate, new Date(), { setBy: this.$locals.changedBy })
+  }
+
+  if (this.rateHistory.length > 0) {
+    this.hourlyRate = this.rateOn(new Date())
+  }
+  next()
+})
+
+// Hourly cost rate on a date: the latest rate starting on or before that day. Work before the first
+// recorded rate uses the earliest one; users without a history use hourlyRate.
+UserSchema.methods.rateOn = function (date = new Date()) {
+  if (!this.rateHistory || this.rateHistory.length === 0) {
+    return this.hourlyRate || 0
+  }
+
+  const time = new Date(date).getTime()
+  const history = [...this.rateHistory].sort((a, b) => a.effectiveFrom - b.effectiveFrom)
+  const current = history.filter((entry) => entry.effectiveFrom.getTime() <= time).pop()
+  return (current || history[0]).rate
+}
+
+// Add a rate starting on the day of `effectiveFrom`, replacing one that starts the same day
+UserSchema.methods.setRate = function (rate, effectiveFrom = new Date(), { reason, setBy } = {}) {
+  const day = new Date(new Date(effectiveFrom).toISOString().slice(0, 10))
+  const previous = this.isModified("hourlyRate") ? this.$locals.loadedHourlyRate : this.hourlyRate
+
+  // The first recorded change keeps the rate the user had for all earlier work
+  if (this.rateHistory.length === 0 && !this.isNew && previous != null) {
+    this.rateHistory.push({ rate: previous, effectiveFrom: new Date(0), reason: "Rate before history was recorded" })
+  }
+
+  const history = this.rateHistory.filter((entry) => entry.effectiveFrom.getTime() !== day.getTime())
+  history.push({ rate, effectiveFrom: day, reason, setBy })
+  this.rateHistory = history.sort((a, b) => a.effectiveFrom - b.effectiveFrom)
+}
+
 // Match user entered password to hashed password in database
 UserSchema.methods.matchPassword = async function (enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password)
 }
 
-// Sign JWT and return
-UserSchema.methods.getSignedJwtToken = function () {
-  return jwt.sign({ id: this._id, role: this.role }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE,
+// Sign a short-lived access token bound to a session (refresh token family)
+UserSchema.methods.getSignedJwtToken = function (sessionId) {
+  return jwt.sign({ id: this._id, role: this.role, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRE || "15m",
+  })
+}
+
+// Start a new session and return an access/refresh token pair
+UserSchema.methods.createSession = async function (ip) {
+  const RefreshToken = mongoose.model("RefreshToken")
+  const { token: refreshToken, family } = await RefreshToken.issue(this._id, { ip })
+
+  return {
+    token: this.getSignedJwtToken(family),
+    refreshToken,
+  }
+}
+
+// Generate a single-use password reset token; only its hash is stored
+UserSchema.methods.getResetPasswordToken = function () {
+  const resetToken = crypto.randomBytes(32).toString("hex")
+  const expireMinutes = Number.parseInt(process.env.RESET_PASSWORD_EXPIRE) || 30
+
+  this.resetPasswordToken = crypto.createHash("sha256").update(resetToken).digest("hex")
+  this.resetPasswordExpire = Date.now() + expireMinutes * 60 * 1000
+
+  return resetToken
+}
+
+// Check if the organisation requires two-factor authentication for this user's role
+UserSchema.methods.requiresTwoFactor = function () {
+  const roles = (process.env.REQUIRE_2FA_ROLES || "")
+    .split(",")
+    .map((role) => role.trim())
+    .filter(Boolean)
+  return roles.includes(this.role)
+}
+
+// Sign a short-lived token for the second login step ("2fa") or forced enrolment ("2fa-setup")
+UserSchema.methods.getTwoFactorChallengeToken = function (purpose = "2fa") {
+  return jwt.sign({ id: this._id, purpose }, process.env.JWT_SECRET, {
+    expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRE || "5m",
   })
 }
 
+// Generate new recovery codes; only hashes are stored
+UserSchema.methods.generateRecoveryCodes = function (count = 10) {
+  const codes = Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString("hex")
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`
+  })
+
+  this.twoFactor.recoveryCodes = codes.map((code) => crypto.createHash("sha256").update(code).digest("hex"))
+  return codes
+}
+
+// Verify a TOTP code, or consume a recovery code. Requires the twoFactor secrets to be selected.
+UserSchema.methods.verifyTwoFactor = async function ({ code, recoveryCode }) {
+  if (recoveryCode) {
+    const hash = crypto.createHash("sha256").update(recoveryCode.trim().toLowerCase()).digest("hex")
+    const index = (this.twoFactor.recoveryCodes || []).indexOf(hash)
+    if (index === -1) return false
+
+    this.twoFactor.recoveryCodes.splice(index, 1)
+    await this.save({ validateBeforeSave: false })
+    return true
+  }
+
+  const step = verifyCode(this.twoFactor.secret, code)
+
+  // Reject codes that were already used
+  if (step === null || (this.twoFactor.lastUsedStep && step <= this.twoFactor.lastUsedStep)) {
+    return false
+  }
+
+  this.twoFactor.lastUsedStep = step
+  await this.save({ validateBeforeSave: false })
+  return true
+}
+
 // Update last login
 UserSchema.methods.updateLastLogin = async function () {
   this.lastLogin = new Date()
@@ -1,22 +1,44 @@
 const express = require("express")
+const mongoose = require("mongoose")
 const User = require("../models/User")
 const Project = require("../models/Project")
 const Assignment = require("../models/Assignment")
-const { protect, isAdminOrManager } = require("../middleware/auth")
+const MetricSnapshot = require("../models/MetricSnapshot")
+const { protect, permit } = require("../middleware/auth")
+const { accessScope } = require("../utils/policy")
+const { ACTIVE_STATUSES } = require("../utils/workflow")
+const { deadlineRisks, weeklyAvailableHours } = require("../utils/capacity")
+const { analyzeSkillGaps } = require("../utils/skillGaps")
+const { projectEvm, portfolioEvm } = require("../utils/evm")
 
 const router = express.Router()
 
+// $dateToString formats for time-series buckets (weeks are ISO weeks)
+const GRANULARITY_FORMATS = {
+  day: "%Y-%m-%d",
+  week: "%G-W%V",
+  month: "%Y-%m",
+}
+
+// Snapshot field holding the subject of each scope, and the permission needed to read it
+const TIMESERIES_SCOPES = {
+  engineer: { field: "user", permission: "analytics:view-utilization" },
+  department: { field: "department", permission: "analytics:view-utilization" },
+  project: { field: "project", permission: "analytics:view-projects" },
+}
+
 // @desc    Get dashboard analytics
 // @route   GET /api/analytics/dashboard
 // @access  Private
-router.get("/dashboard", protect, async (req, res) => {
+router.get("/dashboard", protect, permit("analytics:view-dashboard"), async (req, res) => {
   try {
     const matchQuery = {}
+    const scope = accessScope(req.user, "assignment:view")
 
-    // Filter based on user role
-    if (req.user.role === "engineer") {
+    // Filter based on the user's access scope
+    if (scope === "own") {
       matchQuery.assignee = req.user._id
-    } else if (req.user.role === "manager") {
+    } else if (scope === "managed") {
       const managerProjects = await Project.find({ manager: req.user.id }).select("_id")
       const projectIds = managerProjects.map((p) => p._id)
       matchQuery.project = { $in: projectIds }
@@ -54,7 +76,7 @@ router.get("/dashboard", protect, async (req, res) => {
           $group: {
             _id: null,
             totalAssignments: { $sum: 1 },
-            activeAssignments: { $sum: { $cond: [{ $in: ["$status", ["active", "in-progress"]] }, 1, 0] } },
+            activeAssignments: { $sum: { $cond: [{ $in: ["$status", ACTIVE_STATUSES] }, 1, 0] } },
             completedAssignments: { $sum: { $cond: [{ $eq: ["$status", "completed"] }, 1, 0] } },
             totalEstimatedHours: { $sum: "$estimatedHours" },
             totalActualHours: { $sum: "$actualHours" },
@@ -160,7 +182,7 @@ router.get("/dashboard", protect, async (req, res) => {
 // @desc    Get resource utilization analytics
 // @route   GET /api/analytics/utilization
 // @access  Private (Admin/Manager)
-router.get("/utilization", protect, isAdminOrManager, async (req, res) => {
+router.get("/utilization", protect, permit("analytics:view-utilization"), async (req, res) => {
   try {
     // Get utilization by department
     const departmentUtilization = await User.aggregate([
@@ -177,6 +199,15 @@ router.get("/utilization", protect, isAdminOrManager, async (req, res) => {
       { $sort: { averageUtilization: -1 } },
     ])
 
+    // This week's hours per department after time off and holidays
+    const engineers = await User.find({ role: "engineer", isActive: true }).select("department availability location")
+    const availableThisWeek = await weeklyAvailableHours(engineers)
+    departmentUtilization.forEach((department) => {
+      department.availableHoursThisWeek = engineers
+        .filter((engineer) => engineer.department === department._id)
+        .reduce((sum, engineer) => sum + availableThisWeek[engineer._id.toString()][0], 0)
+    })
+
     // Get utilization by experience level
     const experienceUtilization = await User.aggregate([
       { $match: { role: "engineer", isActive: true } },
@@ -242,12 +273,12 @@ router.get("/utilization", protect, isAdminOrManager, async (req, res) => {
 // @desc    Get project performance analytics
 // @route   GET /api/analytics/projects
 // @access  Private (Admin/Manager)
-router.get("/projects", protect, isAdminOrManager, async (req, res) => {
+router.get("/projects", protect, permit("analytics:view-projects"), async (req, res) => {
   try {
     const matchQuery = {}
 
     // If manager, only show their projects
-    if (req.user.role === "manager") {
+    if (accessScope(req.user, "analytics:view-projects") === "managed") {
       matchQuery.manager = req.user._id
     }
 
@@ -307,12 +338,23 @@ router.get("/projects", protect, isAdminOrManager, async (req, res) => {
       .sort({ progress: -1, budgetUsed: 1 })
       .limit(10)
 
+    // Assignments whose remaining work does not fit in the assignee's available hours before the deadline
+    const openProjectIds = await Project.find({ ...matchQuery, status: { $nin: ["completed", "cancelled"] } }).distinct("_id")
+    const openAssignments = await Assignment.find({
+      project: { $in: openProjectIds },
+      status: { $in: ["pending", ...ACTIVE_STATUSES] },
+    })
+      .select("title project assignee deadline estimatedHours timeEntries")
+      .populate("assignee", "firstName lastName availability location")
+    const capacityRisks = await deadlineRisks(openAssignments)
+
     // Get projects at risk
     const projectsAtRisk = await Project.find({
       ...matchQuery,
       $or: [
         { deadline: { $lt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000) }, status: { $ne: "completed" } }, // Due in 7 days
         { progress: { $lt: 50 }, deadline: { $lt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000) } }, // Low progress with deadline in 30 days
+        { _id: { $in: capacityRisks.map((risk) => risk.project) } }, // Not enough available hours before a deadline
       ],
     })
       .select("name status priority progress deadline manager")
@@ -336,6 +378,7 @@ router.get("/projects", protect, isAdminOrManager, async (req, res) => {
         },
         topProjects,
         projectsAtRisk,
+        capacityRisks,
       },
     })
   } catch (error) {
@@ -350,14 +393,15 @@ router.get("/projects", protect, isAdminOrManager, async (req, res) => {
 // @desc    Get time tracking analytics
 // @route   GET /api/analytics/time-tracking
 // @access  Private
-router.get("/time-tracking", protect, async (req, res) => {
+router.get("/time-tracking", protect, permit("analytics:view-time-tracking"), async (req, res) => {
   try {
     const matchQuery = {}
+    const scope = accessScope(req.user, "analytics:view-time-tracking")
 
-    // Filter based on user role
-    if (req.user.role === "engineer") {
+    // Filter based on the user's access scope
+    if (scope === "own") {
       matchQuery.assignee = req.user._id
-    } else if (req.user.role === "manager") {
+    } else if (scope === "managed") {
       const managerProjects = await Project.find({ manager: req.user.id }).select("_id")
       const projectIds = managerProjects.map((p) => p._id)
       matchQuery.project = { $in: projectIds }
@@ -415,10 +459,11 @@ router.get("/time-tracking", protect, async (req, res) => {
       { $sort: { accuracy: -1 } },
     ])
 
-    // Get monthly time trends
+    // Get monthly time trends (approved hours only)
     const monthlyTrends = await Assignment.aggregate([
       { $match: matchQuery },
       { $unwind: "$timeEntries" },
+      { $match: { "timeEntries.status": "approved" } },
       {
         $group: {
           _id: {
@@ -455,4 +500,231 @@ router.get("/time-tracking", protect, async (req, res) => {
   }
 })
 
+// @desc    Get earned value metrics per project and for the portfolio
+// @route   GET /api/analytics/evm?status=&ids=
+// @access  Private (Admin/Manager)
+router.get("/evm", protect, permit("analytics:view-projects"), async (req, res) => {
+  try {
+    const matchQuery = {
+      status: req.query.status ? { $in: req.query.status.split(",") } : { $in: ["planning", "active", "on-hold"] },
+    }
+
+    // If manager, only show their projects
+    if (accessScope(req.user, "analytics:view-projects") === "managed") {
+      matchQuery.manager = req.user._id
+    }
+
+    if (req.query.ids) {
+      matchQuery._id = { $in: req.query.ids.split(",").map((id) => id.trim()) }
+    }
+
+    const projects = await Project.find(matchQuery)
+      .select("name status progress budget deadline manager milestones expenses billingRates createdAt")
+      .populate("manager", "firstName lastName")
+
+    const now = new Date()
+    const results = []
+    for (const project of projects) {
+      results.push(await projectEvm(project, { now }))
+    }
+
+    // Worst performers first; projects with neither index yet go last
+    const worstIndex = (result) => {
+      const indices = [result.cpi, result.spi].filter((value) => value !== null)
+      return indices.length > 0 ? Math.min(...indices) : null
+    }
+    results.sort((a, b) => {
+      const [x, y] = [worstIndex(a), worstIndex(b)]
+      if (x === y) return 0
+      if (x === null) return 1
+      if (y === null) return -1
+      return x < y ? -1 : 1
+    })
+
+    res.status(200).json({
+      success: true,
+      data: {
+        portfolio: portfolioEvm(results),
+        projects: results,
+      },
+    })
+  } catch (error) {
+    console.error("Get EVM analytics error:", error)
+
+    if (error.name === "CastError") {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid project id",
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Get skill demand of active projects vs. skills engineers hold
+// @route   GET /api/analytics/skill-gaps
+// @access  Private (Admin/Manager)
+router.get("/skill-gaps", protect, permit("analytics:view-utilization"), async (req, res) => {
+  try {
+    const projectQuery = {}
+
+    // Managers see demand from their own projects against the whole engineering team
+    if (accessScope(req.user, "analytics:view-projects") !== "all") {
+      projectQuery.manager = req.user._id
+    }
+
+    const gaps = await analyzeSkillGaps({ projectQuery })
+
+    res.status(200).json({
+      success: true,
+      data: gaps,
+    })
+  } catch (error) {
+    console.error("Get skill gap analytics error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Get metric time series from daily snapshots
+// @route   GET /api/analytics/timeseries
+// @access  Private (Admin/Manager)
+router.get("/timeseries", protect, async (req, res) => {
+  try {
+    const { scope = "engineer", granularity = "day", ids } = req.query
+    const scopeConfig = TIMESERIES_SCOPES[scope]
+
+    if (!scopeConfig) {
+      return res.status(400).json({
+        success: false,
+        message: `Scope must be one of: ${Object.keys(TIMESERIES_SCOPES).join(", ")}`,
+      })
+    }
+
+    if (!GRANULARITY_FORMATS[granularity]) {
+      return res.status(400).json({
+        success: false,
+        message: `Granularity must be one of: ${Object.keys(GRANULARITY_FORMATS).join(", ")}`,
+      })
+    }
+
+    const access = accessScope(req.user, scopeConfig.permission)
+    if (!access) {
+      return res.status(403).json({
+        success: false,
+        message: `Not authorized to view ${scope} trends`,
+      })
+    }
+
+    const to = req.query.to ? new Date(req.query.to) : new Date()
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 90 * 24 * 60 * 60 * 1000)
+
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from > to) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid date range",
+      })
+    }
+
+    const matchQuery = { scope, date: { $gte: from, $lte: to } }
+    let subjects = ids ? ids.split(",").map((id) => id.trim()).filter(Boolean) : null
+
+    if (access === "managed") {
+      const managerProjects = await Project.find({ manager: req.user._id }).select("_id")
+      const managedIds = managerProjects.map((p) => p._id.toString())
+      subjects = subjects ? subjects.filter((id) => managedIds.includes(id)) : managedIds
+    }
+
+    if (subjects) {
+      matchQuery[scopeConfig.field] = {
+        $in: scope === "department" ? subjects : subjects.map((id) => new mongoose.Types.ObjectId(id)),
+      }
+    }
+
+    const buckets = await MetricSnapshot.aggregate([
+      { $match: matchQuery },
+      {
+        $group: {
+          _id: {
+            subject: `$${scopeConfig.field}`,
+            period: { $dateToString: { format: GRANULARITY_FORMATS[granularity], date: "$date", timezone: "UTC" } },
+          },
+          utilization: { $avg: "$utilization" },
+          efficiency: { $avg: "$efficiency" },
+          approvedHours: { $avg: "$approvedHours" },
+          availableHours: { $avg: "$availableHours" },
+          headcount: { $avg: "$headcount" },
+          progress: { $max: "$progress" },
+          budgetUsed: { $max: "$budgetUsed" },
+          activeAssignments: { $avg: "$activeAssignments" },
+          snapshots: { $sum: 1 },
+        },
+      },
+      { $sort: { "_id.period": 1 } },
+    ])
+
+    // Names for the subjects in the result
+    const subjectIds = [...new Set(buckets.map((bucket) => String(bucket._id.subject)))]
+    const names = {}
+
+    if (scope === "engineer") {
+      const users = await User.find({ _id: { $in: subjectIds } }).select("firstName lastName")
+      users.forEach((user) => {
+        names[user._id] = `${user.firstName} ${user.lastName}`
+      })
+    } else if (scope === "project") {
+      const projects = await Project.find({ _id: { $in: subjectIds } }).select("name")
+      projects.forEach((project) => {
+        names[project._id] = project.name
+      })
+    }
+
+    const series = subjectIds.map((id) => ({
+      id,
+      name: names[id] || id,
+      points: buckets
+        .filter((bucket) => String(bucket._id.subject) === id)
+        .map(({ _id, ...values }) => {
+          const point = { period: _id.period }
+          Object.entries(values).forEach(([key, value]) => {
+            point[key] = typeof value === "number" ? Math.round(value * 100) / 100 : value
+          })
+          return point
+        }),
+    }))
+
+    res.status(200).json({
+      success: true,
+      count: series.length,
+      data: {
+        scope,
+        granularity,
+        from,
+        to,
+        series,
+      },
+    })
+  } catch (error) {
+    console.error("Get time series analytics error:", error)
+
+    if (error.name === "BSONError" || error.name === "CastError") {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid id in ids",
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
 module.exports = router
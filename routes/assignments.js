@@ -1,26 +1,45 @@
 const express = require("express")
+const path = require("path")
 const Assignment = require("../models/Assignment")
 const Project = require("../models/Project")
 const User = require("../models/User")
-const { protect, authorize, isAdminOrManager } = require("../middleware/auth")
+const { protect, permit } = require("../middleware/auth")
+const { can, accessScope } = require("../utils/policy")
+const { recordAudit, snapshot } = require("../utils/audit")
+const { applyTransition, getTransitions } = require("../utils/workflow")
+const { assertCanLogTime, assertEditable, assertNotLocked } = require("../utils/timesheets")
+const { capacityCheckMode, checkAllocation } = require("../utils/capacity")
+const { uploadSingle } = require("../middleware/upload")
+const { saveFile } = require("../utils/storage")
+const { storageQuota, storageUsed, sendAttachment, removeStoredFiles } = require("../utils/attachments")
 
 const router = express.Router()
 
+// Entries logged before time entries recorded their author belong to the assignee
+const isOwnEntry = (entry, assignment, user) => (entry.user || assignment.assignee).toString() === user.id
+
+// A milestone link is only valid if the milestone exists on the same project
+const milestoneBelongsTo = async (projectId, milestoneId) => {
+  if (!milestoneId) return true
+  return Boolean(await Project.exists({ _id: projectId, "milestones._id": milestoneId }))
+}
+
 
 // @desc    Get all assignments
 // @route   GET /api/assignments
 // @access  Private
-router.get("/", protect, async (req, res) => {
+router.get("/", protect, permit("assignment:view"), async (req, res) => {
   try {
     const query = {}
+    const scope = accessScope(req.user, "assignment:view")
 
-    // If user is engineer, only show their assignments
-    if (req.user.role === "engineer") {
+    // Engineers only see their own assignments
+    if (scope === "own") {
       query.assignee = req.user.id
     }
 
-    // If user is manager, show assignments for their projects
-    if (req.user.role === "manager") {
+    // Managers see assignments for their projects
+    if (scope === "managed") {
       const managerProjects = await Project.find({ manager: req.user.id }).select("_id")
       const projectIds = managerProjects.map((p) => p._id)
       query.project = { $in: projectIds }
@@ -64,7 +83,7 @@ router.get("/", protect, async (req, res) => {
 // @desc    Get single assignment
 // @route   GET /api/assignments/:id
 // @access  Private
-router.get("/:id", protect, async (req, res) => {
+router.get("/:id", protect, permit("assignment:view"), async (req, res) => {
   try {
     const assignment = await Assignment.findById(req.params.id)
       .populate("project", "name description status priority manager")
@@ -80,7 +99,7 @@ router.get("/:id", protect, async (req, res) => {
     }
 
     // Check if user has access to this assignment
-    if (req.user.role === "engineer" && assignment.assignee._id.toString() !== req.user.id) {
+    if (!can(req.user, "assignment:view", assignment)) {
       return res.status(403).json({
         success: false,
         message: "Not authorized to access this assignment",
@@ -103,9 +122,9 @@ router.get("/:id", protect, async (req, res) => {
 // @desc    Create new assignment
 // @route   POST /api/assignments
 // @access  Private (Admin/Manager)
-router.post("/", protect, isAdminOrManager, async (req, res) => {
+router.post("/", protect, permit("assignment:create"), async (req, res) => {
   try {
-    const { title, description, project, assignee, priority, estimatedHours, deadline, tags } = req.body
+    const { title, description, project, assignee, milestone, priority, estimatedHours, deadline, tags } = req.body
 
     // Verify project exists
     const projectExists = await Project.findById(project)
@@ -126,24 +145,62 @@ router.post("/", protect, isAdminOrManager, async (req, res) => {
     }
 
     // Check if manager is trying to assign to a project they don't manage
-    if (req.user.role === "manager" && projectExists.manager.toString() !== req.user.id) {
+    if (!can(req.user, "assignment:create", projectExists)) {
       return res.status(403).json({
         success: false,
         message: "You can only create assignments for projects you manage",
       })
     }
 
-    const assignment = await Assignment.create({
+    if (!(await milestoneBelongsTo(project, milestone))) {
+      return res.status(400).json({
+        success: false,
+        message: "Milestone does not belong to this project",
+      })
+    }
+
+    // Warn about or block work the assignee has no capacity for (CAPACITY_CHECK_MODE)
+    const capacityMode = capacityCheckMode()
+    const overrideCapacity = req.body.overrideCapacity === true || req.body.overrideCapacity === "true"
+    let capacity = null
+
+    if (capacityMode !== "off" && estimatedHours > 0 && !Number.isNaN(new Date(deadline).getTime())) {
+      capacity = await checkAllocation({ user: assigneeUser._id, project: projectExists._id, estimatedHours, deadline })
+
+      if (capacity.overAllocated && capacityMode === "block" && !overrideCapacity) {
+        return res.status(409).json({
+          success: false,
+          message: "Assignee does not have capacity for this assignment. Send overrideCapacity: true to assign anyway.",
+          data: capacity,
+        })
+      }
+    }
+
+    const assignment = new Assignment({
       title,
       description,
       project,
       assignee,
+      milestone: milestone || undefined,
       assignedBy: req.user.id,
       priority: priority || "medium",
       estimatedHours,
       deadline,
       tags: tags || [],
     })
+    assignment.$locals.changedBy = req.user._id
+    await assignment.save()
+
+    await recordAudit(req, {
+      action: "create",
+      entity: "Assignment",
+      entityId: assignment._id,
+      after: assignment,
+      metadata:
+        capacity && capacity.overAllocated
+          ? { capacityCheck: capacityMode, overrideCapacity, overAllocatedWeeks: capacity.weeks.map((week) => week.weekStart) }
+          : undefined,
+    })
 
     const populatedAssignment = await Assignment.findById(assignment._id)
       .populate("project", "name description")
@@ -154,6 +211,7 @@ router.post("/", protect, isAdminOrManager, async (req, res) => {
       success: true,
       message: "Assignment created successfully",
       data: populatedAssignment,
+      ...(capacity && capacity.overAllocated && { capacityWarning: capacity }),
     })
   } catch (error) {
     console.error("Create assignment error:", error)
@@ -253,7 +311,7 @@ router.post("/", protect, isAdminOrManager, async (req, res) => {
 
 router.put("/:id", protect, async (req, res) => {
   try {
-    let assignment = await Assignment.findById(req.params.id)
+    let assignment = await Assignment.findById(req.params.id).populate("project", "manager workflow")
 
     if (!assignment) {
       return res.status(404).json({
@@ -263,69 +321,85 @@ router.put("/:id", protect, async (req, res) => {
     }
 
     // Check permissions
-    const canUpdate =
-      req.user.role === "admin" ||
-      assignment.assignedBy.toString() === req.user.id ||
-      assignment.assignee.toString() === req.user.id
+    const canUpdate = can(req.user, "assignment:update", assignment)
+    const canUpdateProgress = can(req.user, "assignment:update-progress", assignment)
 
-    if (!canUpdate) {
+    if (!canUpdate && !canUpdateProgress) {
       return res.status(403).json({
         success: false,
         message: "Not authorized to update this assignment",
       })
     }
 
-    // Engineers can only update certain fields
-    if (req.user.role === "engineer") {
-      const allowedFields = ["progress", "status", "actualHours"]
-      const updateFields = {}
+    const original = snapshot(assignment)
+
+    // Assignees without full update rights can only update certain fields
+    const updateFields = {}
+
+    if (!canUpdate) {
+      const allowedFields = ["progress", "status", "reason"]
 
       allowedFields.forEach((field) => {
         if (req.body[field] !== undefined) {
           updateFields[field] = req.body[field]
         }
       })
-
-      assignment = await Assignment.findByIdAndUpdate(
-        req.params.id,
-        updateFields,
-        { new: true, runValidators: true }
-      )
-        .populate("project", "name description")
-        .populate("assignee", "firstName lastName email department")
-        .populate("assignedBy", "firstName lastName email")
     } else {
-      // Admins and managers can update all fields
-      assignment = await Assignment.findByIdAndUpdate(
-        req.params.id,
-        req.body,
-        { new: true, runValidators: true }
-      )
-        .populate("project", "name description")
-        .populate("assignee", "firstName lastName email department")
-        .populate("assignedBy", "firstName lastName email")
+      // Admins and managers can update all fields except the managed sub-collections
+      // actualHours is derived from approved time entries
+      const {
+        _id,
+        assignedBy,
+        timeEntries,
+        actualHours,
+        comments,
+        history,
+        attachments,
+        completedAt,
+        createdAt,
+        updatedAt,
+        ...fields
+      } = req.body
+      Object.assign(updateFields, fields)
+
+      // Clearing the milestone, or moving projects without naming a new one, drops the link
+      if (!updateFields.milestone && ("milestone" in updateFields || updateFields.project)) {
+        updateFields.milestone = undefined
+      } else if (updateFields.milestone) {
+        const projectId = updateFields.project || assignment.project._id
+        if (!(await milestoneBelongsTo(projectId, updateFields.milestone))) {
+          return res.status(400).json({
+            success: false,
+            message: "Milestone does not belong to this project",
+          })
+        }
+      }
     }
 
-    // 🔹 NEW CODE: Update project progress dynamically
-    if (assignment.project?._id || assignment.project) {
-      const projectId = assignment.project._id || assignment.project
+    // Status changes go through the project's workflow, after progress is applied
+    const { status, reason, ...fieldUpdates } = updateFields
 
-      // find all assignments of this project
-      const assignments = await Assignment.find({ project: projectId })
+    assignment.set(fieldUpdates)
 
-      const totalProgress = assignments.reduce(
-        (sum, a) => sum + (a.progress || 0),
-        0
-      )
+    if (status !== undefined && status !== assignment.status) {
+      applyTransition(assignment, status, { project: assignment.project, reason, canApprove: canUpdate })
+    }
 
-      const averageProgress =
-        assignments.length > 0
-          ? Math.round(totalProgress / assignments.length)
-          : 0
+    assignment.$locals.changedBy = req.user._id
+    await assignment.save({ validateModifiedOnly: true })
 
-      // update project progress
-      await Project.findByIdAndUpdate(projectId, { progress: averageProgress })
-    }
+    await recordAudit(req, {
+      action: "update",
+      entity: "Assignment",
+      entityId: assignment._id,
+      before: original,
+      after: assignment,
+    })
+
+    assignment = await Assignment.findById(assignment._id)
+      .populate("project", "name description")
+      .populate("assignee", "firstName lastName email department")
+      .populate("assignedBy", "firstName lastName email")
 
     res.status(200).json({
       success: true,
@@ -335,6 +409,13 @@ router.put("/:id", protect, async (req, res) => {
   } catch (error) {
     console.error("Update assignment error:", error)
 
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      })
+    }
+
     if (error.name === "ValidationError") {
       const messages = Object.values(error.errors).map((err) => err.message)
       return res.status(400).json({
@@ -352,12 +433,132 @@ router.put("/:id", protect, async (req, res) => {
 })
 
 
+// @desc    Move assignment to a new status
+// @route   POST /api/assignments/:id/transitions
+// @access  Private
+router.post("/:id/transitions", protect, async (req, res) => {
+  try {
+    const { status, reason } = req.body
+
+    if (!status) {
+      return res.status(400).json({
+        success: false,
+        message: "Target status is required",
+      })
+    }
+
+    const assignment = await Assignment.findById(req.params.id).populate("project", "manager workflow")
+
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        message: "Assignment not found",
+      })
+    }
+
+    // Assignees can move their own work along; approvals need full update rights
+    const canUpdate = can(req.user, "assignment:update", assignment)
+
+    if (!canUpdate && !can(req.user, "assignment:update-progress", assignment)) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to update this assignment",
+      })
+    }
+
+    const from = assignment.status
+
+    applyTransition(assignment, status, { project: assignment.project, reason, canApprove: canUpdate })
+    assignment.$locals.changedBy = req.user._id
+    await assignment.save({ validateModifiedOnly: true })
+
+    await recordAudit(req, {
+      action: "update",
+      entity: "Assignment",
+      entityId: assignment._id,
+      before: { status: from },
+      after: { status: assignment.status },
+      metadata: { transition: true, reason },
+    })
+
+    res.status(200).json({
+      success: true,
+      message: `Assignment moved to '${assignment.status}'`,
+      data: {
+        status: assignment.status,
+        completedAt: assignment.completedAt,
+        allowedTransitions: getTransitions(assignment.project)[assignment.status] || [],
+      },
+    })
+  } catch (error) {
+    console.error("Transition assignment error:", error)
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Get assignment change history
+// @route   GET /api/assignments/:id/history
+// @access  Private
+router.get("/:id/history", protect, permit("assignment:view"), async (req, res) => {
+  try {
+    const assignment = await Assignment.findById(req.params.id)
+      .select("title project assignee assignedBy history")
+      .populate("project", "manager")
+      .populate("history.changedBy", "firstName lastName email")
+
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        message: "Assignment not found",
+      })
+    }
+
+    // Check if user has access to this assignment
+    if (!can(req.user, "assignment:view", assignment)) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to access this assignment",
+      })
+    }
+
+    let history = assignment.history
+
+    // Filter by field if provided
+    if (req.query.field) {
+      history = history.filter((entry) => entry.field === req.query.field)
+    }
+
+    res.status(200).json({
+      success: true,
+      count: history.length,
+      data: history,
+    })
+  } catch (error) {
+    console.error("Get assignment history error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
 // @desc    Delete assignment
 // @route   DELETE /api/assignments/:id
 // @access  Private (Admin/Manager)
-router.delete("/:id", protect, isAdminOrManager, async (req, res) => {
+router.delete("/:id", protect, permit("assignment:delete"), async (req, res) => {
   try {
-    const assignment = await Assignment.findById(req.params.id)
+    const assignment = await Assignment.findById(req.params.id).populate("project", "manager")
 
     if (!assignment) {
       return res.status(404).json({
@@ -367,17 +568,17 @@ router.delete("/:id", protect, isAdminOrManager, async (req, res) => {
     }
 
     // Check if manager is trying to delete assignment from project they don't manage
-    if (req.user.role === "manager") {
-      const project = await Project.findById(assignment.project)
-      if (project.manager.toString() !== req.user.id) {
-        return res.status(403).json({
-          success: false,
-          message: "You can only delete assignments from projects you manage",
-        })
-      }
+    if (!can(req.user, "assignment:delete", assignment)) {
+      return res.status(403).json({
+        success: false,
+        message: "You can only delete assignments from projects you manage",
+      })
     }
 
     await Assignment.findByIdAndDelete(req.params.id)
+    await removeStoredFiles(assignment.attachments)
+
+    await recordAudit(req, { action: "delete", entity: "Assignment", entityId: assignment._id, before: assignment })
 
     res.status(200).json({
       success: true,
@@ -395,7 +596,7 @@ router.delete("/:id", protect, isAdminOrManager, async (req, res) => {
 // @desc    Add comment to assignment
 // @route   POST /api/assignments/:id/comments
 // @access  Private
-router.post("/:id/comments", protect, async (req, res) => {
+router.post("/:id/comments", protect, permit("assignment:comment"), async (req, res) => {
   try {
     const { text } = req.body
 
@@ -406,7 +607,7 @@ router.post("/:id/comments", protect, async (req, res) => {
       })
     }
 
-    const assignment = await Assignment.findById(req.params.id)
+    const assignment = await Assignment.findById(req.params.id).populate("project", "manager")
 
     if (!assignment) {
       return res.status(404).json({
@@ -416,7 +617,7 @@ router.post("/:id/comments", protect, async (req, res) => {
     }
 
     // Check if user has access to this assignment
-    if (req.user.role === "engineer" && assignment.assignee.toString() !== req.user.id) {
+    if (!can(req.user, "assignment:comment", assignment)) {
       return res.status(403).json({
         success: false,
         message: "Not authorized to comment on this assignment",
@@ -428,7 +629,15 @@ router.post("/:id/comments", protect, async (req, res) => {
       text: text.trim(),
     })
 
-    await assignment.save()
+    assignment.$locals.changedBy = req.user._id
+    await assignment.save({ validateModifiedOnly: true })
+
+    await recordAudit(req, {
+      action: "create",
+      entity: "AssignmentComment",
+      entityId: assignment._id,
+      after: assignment.comments[assignment.comments.length - 1],
+    })
 
     const updatedAssignment = await Assignment.findById(req.params.id).populate(
       "comments.user",
@@ -442,6 +651,16 @@ router.post("/:id/comments", protect, async (req, res) => {
     })
   } catch (error) {
     console.error("Add comment error:", error)
+
+    if (error.name === "ValidationError") {
+      const messages = Object.values(error.errors).map((err) => err.message)
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        errors: messages,
+      })
+    }
+
     res.status(500).json({
       success: false,
       message: "Server error",
@@ -452,7 +671,7 @@ router.post("/:id/comments", protect, async (req, res) => {
 // @desc    Add time entry to assignment
 // @route   POST /api/assignments/:id/time-entries
 // @access  Private (Assignee only)
-router.post("/:id/time-entries", protect, async (req, res) => {
+router.post("/:id/time-entries", protect, permit("assignment:log-time"), async (req, res) => {
   try {
     const { date, hours, description } = req.body
 
@@ -473,20 +692,42 @@ router.post("/:id/time-entries", protect, async (req, res) => {
     }
 
     // Only assignee can log time
-    if (assignment.assignee.toString() !== req.user.id) {
+    if (!can(req.user, "assignment:log-time", assignment)) {
       return res.status(403).json({
         success: false,
         message: "Only the assignee can log time for this assignment",
       })
     }
 
+    const entryDate = new Date(date)
+    const entryHours = Number.parseFloat(hours)
+
+    if (Number.isNaN(entryDate.getTime()) || Number.isNaN(entryHours)) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide a valid date and number of hours",
+      })
+    }
+
+    // Locked periods, submitted timesheets and the 24h daily limit across assignments
+    await assertCanLogTime(req.user._id, entryDate, entryHours)
+
     assignment.timeEntries.push({
-      date: new Date(date),
-      hours: Number.parseFloat(hours),
+      date: entryDate,
+      hours: entryHours,
       description: description || "",
+      user: req.user.id,
     })
 
-    await assignment.save()
+    assignment.$locals.changedBy = req.user._id
+    await assignment.save({ validateModifiedOnly: true })
+
+    await recordAudit(req, {
+      action: "create",
+      entity: "TimeEntry",
+      entityId: assignment._id,
+      after: assignment.timeEntries[assignment.timeEntries.length - 1],
+    })
 
     res.status(201).json({
       success: true,
@@ -495,6 +736,125 @@ router.post("/:id/time-entries", protect, async (req, res) => {
     })
   } catch (error) {
     console.error("Add time entry error:", error)
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      })
+    }
+
+    if (error.name === "ValidationError") {
+      const messages = Object.values(error.errors).map((err) => err.message)
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        errors: messages,
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Edit own time entry (until approved)
+// @route   PUT /api/assignments/:id/time-entries/:entryId
+// @access  Private (Entry author)
+router.put("/:id/time-entries/:entryId", protect, permit("assignment:log-time"), async (req, res) => {
+  try {
+    const assignment = await Assignment.findById(req.params.id)
+
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        message: "Assignment not found",
+      })
+    }
+
+    const entry = assignment.timeEntries.id(req.params.entryId)
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: "Time entry not found",
+      })
+    }
+
+    // Engineers manage their own entries until a manager approves them
+    if (!can(req.user, "assignment:log-time", assignment) || !isOwnEntry(entry, assignment, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: "You can only change your own time entries",
+      })
+    }
+
+    if (entry.status === "approved") {
+      return res.status(400).json({
+        success: false,
+        message: "Approved time entries are locked",
+      })
+    }
+
+    const entryDate = req.body.date !== undefined ? new Date(req.body.date) : entry.date
+    const entryHours = req.body.hours !== undefined ? Number.parseFloat(req.body.hours) : entry.hours
+
+    if (Number.isNaN(entryDate.getTime()) || Number.isNaN(entryHours)) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide a valid date and number of hours",
+      })
+    }
+
+    // Both the current and the new date must still be open
+    await assertEditable(req.user._id, entry.date)
+    await assertCanLogTime(req.user._id, entryDate, entryHours, { excludeEntryId: entry._id })
+
+    const original = snapshot(entry)
+
+    entry.date = entryDate
+    entry.hours = entryHours
+    if (req.body.description !== undefined) entry.description = req.body.description
+
+    // Editing a rejected entry resubmits it for review
+    if (entry.status === "rejected") {
+      entry.status = "pending"
+      entry.reviewedBy = undefined
+      entry.reviewedAt = undefined
+    }
+    entry.updatedAt = new Date()
+
+    assignment.$locals.changedBy = req.user._id
+    await assignment.save({ validateModifiedOnly: true })
+
+    await recordAudit(req, { action: "update", entity: "TimeEntry", entityId: assignment._id, before: original, after: entry })
+
+    res.status(200).json({
+      success: true,
+      message: "Time entry updated successfully",
+      data: entry,
+    })
+  } catch (error) {
+    console.error("Update time entry error:", error)
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      })
+    }
+
+    if (error.name === "ValidationError") {
+      const messages = Object.values(error.errors).map((err) => err.message)
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        errors: messages,
+      })
+    }
+
     res.status(500).json({
       success: false,
       message: "Server error",
@@ -502,22 +862,448 @@ router.post("/:id/time-entries", protect, async (req, res) => {
   }
 })
 
+// @desc    Delete own time entry (until approved)
+// @route   DELETE /api/assignments/:id/time-entries/:entryId
+// @access  Private (Entry author)
+router.delete("/:id/time-entries/:entryId", protect, permit("assignment:log-time"), async (req, res) => {
+  try {
+    const assignment = await Assignment.findById(req.params.id)
+
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        message: "Assignment not found",
+      })
+    }
+
+    const entry = assignment.timeEntries.id(req.params.entryId)
 
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: "Time entry not found",
+      })
+    }
 
+    // Engineers manage their own entries until a manager approves them
+    if (!can(req.user, "assignment:log-time", assignment) || !isOwnEntry(entry, assignment, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: "You can only change your own time entries",
+      })
+    }
 
+    if (entry.status === "approved") {
+      return res.status(400).json({
+        success: false,
+        message: "Approved time entries are locked",
+      })
+    }
 
+    await assertEditable(req.user._id, entry.date)
+
+    assignment.timeEntries.pull(entry._id)
+    assignment.$locals.changedBy = req.user._id
+    await assignment.save({ validateModifiedOnly: true })
+
+    await recordAudit(req, { action: "delete", entity: "TimeEntry", entityId: assignment._id, before: entry })
+
+    res.status(200).json({
+      success: true,
+      message: "Time entry deleted successfully",
+    })
+  } catch (error) {
+    console.error("Delete time entry error:", error)
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Approve time entry
+// @route   POST /api/assignments/:id/time-entries/:entryId/approve
+// @access  Private (Admin/Manager)
+router.post("/:id/time-entries/:entryId/approve", protect, permit("time-entry:review"), async (req, res) => {
+  try {
+    const assignment = await Assignment.findById(req.params.id).populate("project", "manager")
+
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        message: "Assignment not found",
+      })
+    }
+
+    if (!can(req.user, "time-entry:review", assignment)) {
+      return res.status(403).json({
+        success: false,
+        message: "You can only review time entries for projects you manage",
+      })
+    }
+
+    const entry = assignment.timeEntries.id(req.params.entryId)
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: "Time entry not found",
+      })
+    }
+
+    if (isOwnEntry(entry, assignment, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: "You cannot review your own time entries",
+      })
+    }
+
+    if (entry.status !== "pending") {
+      return res.status(400).json({
+        success: false,
+        message: `Time entry is already ${entry.status}`,
+      })
+    }
+
+    await assertNotLocked(entry.date)
+
+    entry.status = "approved"
+    entry.reviewedBy = req.user.id
+    entry.reviewedAt = new Date()
+    entry.reviewComment = req.body.comment
+
+    assignment.$locals.changedBy = req.user._id
+    await assignment.save({ validateModifiedOnly: true })
+
+    await recordAudit(req, {
+      action: "update",
+      entity: "TimeEntry",
+      entityId: assignment._id,
+      before: { status: "pending" },
+      after: { status: "approved", reviewComment: entry.reviewComment },
+      metadata: { timeEntry: entry._id },
+    })
+
+    res.status(200).json({
+      success: true,
+      message: "Time entry approved",
+      data: entry,
+      actualHours: assignment.actualHours,
+    })
+  } catch (error) {
+    console.error("Approve time entry error:", error)
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Reject time entry
+// @route   POST /api/assignments/:id/time-entries/:entryId/reject
+// @access  Private (Admin/Manager)
+router.post("/:id/time-entries/:entryId/reject", protect, permit("time-entry:review"), async (req, res) => {
+  try {
+    const { comment } = req.body
+
+    if (!comment || comment.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "A comment explaining the rejection is required",
+      })
+    }
+
+    const assignment = await Assignment.findById(req.params.id).populate("project", "manager")
+
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        message: "Assignment not found",
+      })
+    }
+
+    if (!can(req.user, "time-entry:review", assignment)) {
+      return res.status(403).json({
+        success: false,
+        message: "You can only review time entries for projects you manage",
+      })
+    }
+
+    const entry = assignment.timeEntries.id(req.params.entryId)
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: "Time entry not found",
+      })
+    }
+
+    if (isOwnEntry(entry, assignment, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: "You cannot review your own time entries",
+      })
+    }
+
+    if (entry.status !== "pending") {
+      return res.status(400).json({
+        success: false,
+        message: `Time entry is already ${entry.status}`,
+      })
+    }
+
+    await assertNotLocked(entry.date)
+
+    entry.status = "rejected"
+    entry.reviewedBy = req.user.id
+    entry.reviewedAt = new Date()
+    entry.reviewComment = comment.trim()
+
+    assignment.$locals.changedBy = req.user._id
+    await assignment.save({ validateModifiedOnly: true })
+
+    await recordAudit(req, {
+      action: "update",
+      entity: "TimeEntry",
+      entityId: assignment._id,
+      before: { status: "pending" },
+      after: { status: "rejected", reviewComment: entry.reviewComment },
+      metadata: { timeEntry: entry._id },
+    })
+
+    res.status(200).json({
+      success: true,
+      message: "Time entry rejected",
+      data: entry,
+    })
+  } catch (error) {
+    console.error("Reject time entry error:", error)
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+
+
+
+
+
+// @desc    Upload assignment attachment
+// @route   POST /api/assignments/:id/attachments
+// @access  Private
+router.post("/:id/attachments", protect, permit("assignment:upload-file"), uploadSingle("file"), async (req, res) => {
+  try {
+    const assignment = await Assignment.findById(req.params.id).populate("project", "manager attachments storageQuotaMB")
+
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        message: "Assignment not found",
+      })
+    }
+
+    if (!can(req.user, "assignment:upload-file", assignment)) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to upload files to this assignment",
+      })
+    }
+
+    // Assignment files count towards the project's storage quota
+    const used = await storageUsed(assignment.project)
+    const quota = storageQuota(assignment.project)
+
+    if (used + req.file.size > quota) {
+      return res.status(413).json({
+        success: false,
+        message: "Project storage quota exceeded",
+        storage: { used, quota },
+      })
+    }
+
+    const key = await saveFile(`assignments/${assignment._id}`, req.file)
+
+    assignment.attachments.push({
+      filename: path.basename(key),
+      originalName: req.file.originalname,
+      path: key,
+      size: req.file.size,
+      mimeType: req.file.mimetype,
+      uploadedBy: req.user.id,
+    })
+
+    assignment.$locals.changedBy = req.user._id
+    try {
+      await assignment.save({ validateModifiedOnly: true })
+    } catch (error) {
+      // Don't leave the stored file behind without an attachment pointing at it. Post-save hooks can
+      // fail after the attachment was written, so check what was stored.
+      if (!(await Assignment.exists({ _id: assignment._id, "attachments.path": key }))) {
+        await removeStoredFiles([{ path: key }])
+      }
+      throw error
+    }
+
+    const attachment = assignment.attachments[assignment.attachments.length - 1]
+
+    await recordAudit(req, { action: "create", entity: "AssignmentAttachment", entityId: assignment._id, after: attachment })
+
+    res.status(201).json({
+      success: true,
+      message: "File uploaded successfully",
+      data: attachment,
+      storage: { used: used + req.file.size, quota },
+    })
+  } catch (error) {
+    console.error("Upload assignment attachment error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Download assignment attachment
+// @route   GET /api/assignments/:id/attachments/:attachmentId
+// @access  Private
+router.get("/:id/attachments/:attachmentId", protect, permit("assignment:view"), async (req, res) => {
+  try {
+    const assignment = await Assignment.findById(req.params.id).populate("project", "manager")
+
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        message: "Assignment not found",
+      })
+    }
+
+    if (!can(req.user, "assignment:view", assignment)) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to access this assignment",
+      })
+    }
+
+    const attachment = assignment.attachments.id(req.params.attachmentId)
+
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        message: "Attachment not found",
+      })
+    }
+
+    await sendAttachment(res, attachment)
+  } catch (error) {
+    console.error("Download assignment attachment error:", error)
+
+    if (error.code === "ENOENT") {
+      return res.status(404).json({
+        success: false,
+        message: "File not found in storage",
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Delete assignment attachment
+// @route   DELETE /api/assignments/:id/attachments/:attachmentId
+// @access  Private
+router.delete("/:id/attachments/:attachmentId", protect, permit("assignment:upload-file"), async (req, res) => {
+  try {
+    const assignment = await Assignment.findById(req.params.id).populate("project", "manager")
+
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        message: "Assignment not found",
+      })
+    }
+
+    const attachment = assignment.attachments.id(req.params.attachmentId)
+
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        message: "Attachment not found",
+      })
+    }
+
+    // Uploaders can remove their own files; anyone who can update the assignment can remove any
+    const isUploader = attachment.uploadedBy && attachment.uploadedBy.toString() === req.user.id
+    const canRemove =
+      can(req.user, "assignment:upload-file", assignment) && (isUploader || can(req.user, "assignment:update", assignment))
+
+    if (!canRemove) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to delete this attachment",
+      })
+    }
+
+    assignment.attachments.pull(attachment._id)
+    assignment.$locals.changedBy = req.user._id
+    await assignment.save({ validateModifiedOnly: true })
+    await removeStoredFiles([attachment])
+
+    await recordAudit(req, { action: "delete", entity: "AssignmentAttachment", entityId: assignment._id, before: attachment })
+
+    res.status(200).json({
+      success: true,
+      message: "Attachment deleted successfully",
+    })
+  } catch (error) {
+    console.error("Delete assignment attachment error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
 
 // @desc    Get assignment statistics
 // @route   GET /api/assignments/stats
 // @access  Private
-router.get("/stats/overview", protect, async (req, res) => {
+router.get("/stats/overview", protect, permit("assignment:view"), async (req, res) => {
   try {
     const matchQuery = {}
+    const scope = accessScope(req.user, "assignment:view")
 
-    // Filter based on user role
-    if (req.user.role === "engineer") {
+    // Filter based on the user's access scope
+    if (scope === "own") {
       matchQuery.assignee = req.user._id
-    } else if (req.user.role === "manager") {
+    } else if (scope === "managed") {
       const managerProjects = await Project.find({ manager: req.user.id }).select("_id")
       const projectIds = managerProjects.map((p) => p._id)
       matchQuery.project = { $in: projectIds }
@@ -0,0 +1,90 @@
+const express = require("express")
+const mongoose = require("mongoose")
+const AuditLog = require("../models/AuditLog")
+const { protect, permit } = require("../middleware/auth")
+
+const router = express.Router()
+
+// @desc    Get audit log entries
+// @route   GET /api/audit
+// @access  Private (Admin)
+router.get("/", protect, permit("audit:view"), async (req, res) => {
+  try {
+    const query = {}
+
+    const invalidId = ["actor", "entityId"].find(
+      (field) => req.query[field] && !mongoose.isValidObjectId(req.query[field]),
+    )
+    if (invalidId) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid ${invalidId}`,
+      })
+    }
+
+    const invalidDate = ["from", "to"].find(
+      (field) => req.query[field] && Number.isNaN(new Date(req.query[field]).getTime()),
+    )
+    if (invalidDate) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid ${invalidDate} date`,
+      })
+    }
+
+    // Filter by actor if provided
+    if (req.query.actor) {
+      query.actor = req.query.actor
+    }
+
+    // Filter by entity type and id if provided
+    if (req.query.entity) {
+      query.entity = req.query.entity
+    }
+
+    if (req.query.entityId) {
+      query.entityId = req.query.entityId
+    }
+
+    // Filter by action if provided
+    if (req.query.action) {
+      query.action = req.query.action
+    }
+
+    // Filter by date range if provided
+    if (req.query.from || req.query.to) {
+      query.createdAt = {}
+      if (req.query.from) query.createdAt.$gte = new Date(req.query.from)
+      if (req.query.to) query.createdAt.$lte = new Date(req.query.to)
+    }
+
+    const page = Math.max(1, Number.parseInt(req.query.page) || 1)
+    const limit = Math.min(200, Math.max(1, Number.parseInt(req.query.limit) || 50))
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(query)
+        .populate("actor", "firstName lastName email role")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      AuditLog.countDocuments(query),
+    ])
+
+    res.status(200).json({
+      success: true,
+      count: entries.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: entries,
+    })
+  } catch (error) {
+    console.error("Get audit log error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+module.exports = router
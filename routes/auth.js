@@ -1,8 +1,13 @@
 const express = require("express")
 const bcrypt = require("bcryptjs")
 const jwt = require("jsonwebtoken")
+const crypto = require("crypto")
 const User = require("../models/User")
-const { protect } = require("../middleware/auth")
+const RefreshToken = require("../models/RefreshToken")
+const { protect, protectOrTwoFactorSetup } = require("../middleware/auth")
+const { sendMail } = require("../utils/mailer")
+const { recordAudit, snapshot } = require("../utils/audit")
+const { generateSecret, verifyCode, provisioningUri } = require("../utils/totp")
 const rateLimit = require("express-rate-limit")
 
 const router = express.Router()
@@ -17,17 +22,68 @@ const authLimiter = rateLimit({
   },
 })
 
+// Token refresh has its own budget: clients refresh every access token lifetime, and sharing the
+// login limit would lock users behind one IP out of logging in
+const refreshLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 100, // limit each IP to 100 refreshes per windowMs
+  message: {
+    success: false,
+    message: "Too many token refresh attempts, please try again later",
+  },
+})
+
+// Start a session for a fully authenticated user and send the login payload
+const sendLoginResponse = async (user, req, res, extra = {}) => {
+  // Generate access and refresh tokens
+  const { token, refreshToken } = await user.createSession(req.ip)
+
+  // Update last login
+  await user.updateLastLogin()
+
+  res.status(200).json({
+    success: true,
+    message: "Login successful",
+    token,
+    refreshToken,
+    ...extra,
+    user: {
+      id: user._id,
+      firstName: user.firstName,
+      lastName: user.lastName,
+      fullName: user.fullName,
+      email: user.email,
+      role: user.role,
+      department: user.department,
+      experienceLevel: user.experienceLevel,
+      skills: user.skills,
+      location: user.location,
+      avatar: user.avatar,
+      currentProjectsCount: user.currentProjectsCount,
+      lastLogin: user.lastLogin,
+      twoFactorEnabled: user.twoFactor.enabled,
+    },
+  })
+}
+
 // @desc    Register user
 // @route   POST /api/auth/register
 // @access  Public
 router.post("/register", authLimiter, async (req, res) => {
   try {
+    // Self-registration can be switched off so accounts are only created through invitations
+    if (process.env.ALLOW_SELF_REGISTRATION === "false") {
+      return res.status(403).json({
+        success: false,
+        message: "Self-registration is disabled, please ask an administrator for an invitation",
+      })
+    }
+
     const {
       firstName,
       lastName,
       email,
       password,
-      role,
       department,
       experienceLevel,
       skills,
@@ -52,7 +108,8 @@ router.post("/register", authLimiter, async (req, res) => {
       lastName,
       email: email.toLowerCase(),
       password,
-      role: role || "engineer",
+      // Self-registered accounts are always engineers; other roles come from invitations
+      role: "engineer",
       department,
       experienceLevel: experienceLevel || "junior",
       skills: skills || [],
@@ -62,8 +119,10 @@ router.post("/register", authLimiter, async (req, res) => {
       phone,
     })
 
-    // Generate token
-    const token = user.getSignedJwtToken()
+    await recordAudit(req, { action: "create", entity: "User", entityId: user._id, after: user, actor: user })
+
+    // Generate access and refresh tokens
+    const { token, refreshToken } = await user.createSession(req.ip)
 
     // Update last login
     await user.updateLastLogin()
@@ -72,6 +131,7 @@ router.post("/register", authLimiter, async (req, res) => {
       success: true,
       message: "User registered successfully",
       token,
+      refreshToken,
       user: {
         id: user._id,
         firstName: user.firstName,
@@ -143,37 +203,352 @@ router.post("/login", authLimiter, async (req, res) => {
       })
     }
 
-    // Generate token
-    const token = user.getSignedJwtToken()
+    // Second step required: return a short-lived challenge instead of a session
+    if (user.twoFactor.enabled) {
+      return res.status(200).json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken: user.getTwoFactorChallengeToken("2fa"),
+        message: "Enter the code from your authenticator app",
+      })
+    }
 
-    // Update last login
-    await user.updateLastLogin()
+    // Role requires 2FA but the user has not enrolled yet
+    if (user.requiresTwoFactor()) {
+      return res.status(200).json({
+        success: true,
+        twoFactorSetupRequired: true,
+        challengeToken: user.getTwoFactorChallengeToken("2fa-setup"),
+        message: "Two-factor authentication is required for your role, please enrol to continue",
+      })
+    }
+
+    await sendLoginResponse(user, req, res)
+  } catch (error) {
+    console.error("Login error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error during login",
+    })
+  }
+})
+
+// @desc    Complete login with a TOTP or recovery code
+// @route   POST /api/auth/login/2fa
+// @access  Public
+router.post("/login/2fa", authLimiter, async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide the challenge token and a code",
+      })
+    }
+
+    let decoded
+    try {
+      decoded = jwt.verify(challengeToken, process.env.JWT_SECRET)
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid or expired challenge token",
+      })
+    }
+
+    if (decoded.purpose !== "2fa") {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid challenge token",
+      })
+    }
+
+    const user = await User.findById(decoded.id)
+      .select("+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep")
+      .populate("currentProjectsCount")
+
+    if (!user || !user.isActive || !user.twoFactor.enabled) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid challenge token",
+      })
+    }
+
+    if (user.isLocked) {
+      return res.status(423).json({
+        success: false,
+        message: "Account is temporarily locked due to too many failed attempts",
+      })
+    }
+
+    const isValid = await user.verifyTwoFactor({ code, recoveryCode })
+    if (!isValid) {
+      await user.incLoginAttempts()
+      return res.status(401).json({
+        success: false,
+        message: "Invalid authentication code",
+      })
+    }
+
+    await sendLoginResponse(user, req, res, {
+      ...(recoveryCode && { recoveryCodesRemaining: user.twoFactor.recoveryCodes.length }),
+    })
+  } catch (error) {
+    console.error("Two-factor login error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error during login",
+    })
+  }
+})
+
+// @desc    Start 2FA enrolment and get a provisioning URI
+// @route   POST /api/auth/2fa/setup
+// @access  Private (or 2FA setup challenge)
+router.post("/2fa/setup", protectOrTwoFactorSetup, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id)
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is already enabled",
+      })
+    }
+
+    const secret = generateSecret()
+    user.twoFactor.pendingSecret = secret
+    await user.save({ validateBeforeSave: false })
 
     res.status(200).json({
       success: true,
-      message: "Login successful",
-      token,
-      user: {
-        id: user._id,
-        firstName: user.firstName,
-        lastName: user.lastName,
-        fullName: user.fullName,
-        email: user.email,
-        role: user.role,
-        department: user.department,
-        experienceLevel: user.experienceLevel,
-        skills: user.skills,
-        location: user.location,
-        avatar: user.avatar,
-        currentProjectsCount: user.currentProjectsCount,
-        lastLogin: user.lastLogin,
+      data: {
+        secret,
+        otpauthUrl: provisioningUri(secret, user.email),
       },
     })
   } catch (error) {
-    console.error("Login error:", error)
+    console.error("Two-factor setup error:", error)
     res.status(500).json({
       success: false,
-      message: "Server error during login",
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Verify the first code and enable 2FA
+// @route   POST /api/auth/2fa/enable
+// @access  Private (or 2FA setup challenge)
+router.post("/2fa/enable", protectOrTwoFactorSetup, async (req, res) => {
+  try {
+    const { code } = req.body
+
+    const user = await User.findById(req.user.id)
+      .select("+twoFactor.pendingSecret +twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep")
+      .populate("currentProjectsCount")
+
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({
+        success: false,
+        message: "Start two-factor setup first",
+      })
+    }
+
+    const step = verifyCode(user.twoFactor.pendingSecret, code)
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid authentication code",
+      })
+    }
+
+    user.twoFactor.secret = user.twoFactor.pendingSecret
+    user.twoFactor.pendingSecret = undefined
+    user.twoFactor.enabled = true
+    user.twoFactor.enabledAt = new Date()
+    user.twoFactor.lastUsedStep = step
+    const recoveryCodes = user.generateRecoveryCodes()
+    await user.save({ validateBeforeSave: false })
+
+    // Enrolment forced at login: finish the login now
+    if (req.twoFactorSetupChallenge) {
+      return sendLoginResponse(user, req, res, { recoveryCodes })
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Two-factor authentication enabled",
+      recoveryCodes,
+    })
+  } catch (error) {
+    console.error("Two-factor enable error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Regenerate recovery codes
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+router.post("/2fa/recovery-codes", protect, async (req, res) => {
+  try {
+    const { code } = req.body
+
+    const user = await User.findById(req.user.id).select(
+      "+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep",
+    )
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is not enabled",
+      })
+    }
+
+    const isValid = await user.verifyTwoFactor({ code })
+    if (!isValid) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid authentication code",
+      })
+    }
+
+    const recoveryCodes = user.generateRecoveryCodes()
+    await user.save({ validateBeforeSave: false })
+
+    res.status(200).json({
+      success: true,
+      message: "Recovery codes regenerated",
+      recoveryCodes,
+    })
+  } catch (error) {
+    console.error("Regenerate recovery codes error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Disable 2FA
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+router.post("/2fa/disable", protect, async (req, res) => {
+  try {
+    const { password, code } = req.body
+
+    if (!password || !code) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide your password and an authentication code",
+      })
+    }
+
+    const user = await User.findById(req.user.id).select(
+      "+password +twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep",
+    )
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: "Two-factor authentication is not enabled",
+      })
+    }
+
+    if (user.requiresTwoFactor()) {
+      return res.status(403).json({
+        success: false,
+        message: "Two-factor authentication is required for your role",
+      })
+    }
+
+    const isMatch = await user.matchPassword(password)
+    const isValid = isMatch && (await user.verifyTwoFactor({ code }))
+    if (!isValid) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid password or authentication code",
+      })
+    }
+
+    user.twoFactor = { enabled: false }
+    await user.save({ validateBeforeSave: false })
+
+    res.status(200).json({
+      success: true,
+      message: "Two-factor authentication disabled",
+    })
+  } catch (error) {
+    console.error("Two-factor disable error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Exchange a refresh token for a new token pair
+// @route   POST /api/auth/refresh
+// @access  Public
+router.post("/refresh", refreshLimiter, async (req, res) => {
+  try {
+    const { refreshToken } = req.body
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide a refresh token",
+      })
+    }
+
+    const result = await RefreshToken.rotate(refreshToken, { ip: req.ip })
+
+    if (result.error === "reused") {
+      return res.status(401).json({
+        success: false,
+        message: "Refresh token reuse detected, session has been revoked",
+      })
+    }
+
+    if (result.error) {
+      return res.status(401).json({
+        success: false,
+        message: "Invalid or expired refresh token",
+      })
+    }
+
+    const user = await User.findById(result.user)
+
+    if (!user || !user.isActive) {
+      await RefreshToken.revokeFamily(result.family, "admin")
+      return res.status(401).json({
+        success: false,
+        message: "Account has been deactivated",
+      })
+    }
+
+    // Sessions started before 2FA became mandatory for the role must log in again
+    if (user.requiresTwoFactor() && !user.twoFactor.enabled) {
+      await RefreshToken.revokeFamily(result.family, "admin")
+      return res.status(401).json({
+        success: false,
+        message: "Two-factor authentication is required, please log in again",
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      token: user.getSignedJwtToken(result.family),
+      refreshToken: result.token,
+    })
+  } catch (error) {
+    console.error("Refresh token error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
     })
   }
 })
@@ -240,6 +615,8 @@ router.put("/profile", protect, async (req, res) => {
       })
     }
 
+    const original = snapshot(user)
+
     // Update fields
     if (firstName) user.firstName = firstName
     if (lastName) user.lastName = lastName
@@ -252,6 +629,8 @@ router.put("/profile", protect, async (req, res) => {
 
     await user.save()
 
+    await recordAudit(req, { action: "update", entity: "User", entityId: user._id, before: original, after: user })
+
     res.status(200).json({
       success: true,
       message: "Profile updated successfully",
@@ -319,6 +698,8 @@ router.put("/change-password", protect, async (req, res) => {
     user.password = newPassword
     await user.save()
 
+    await recordAudit(req, { action: "update", entity: "User", entityId: user._id, metadata: { passwordChanged: true } })
+
     res.status(200).json({
       success: true,
       message: "Password changed successfully",
@@ -332,13 +713,141 @@ router.put("/change-password", protect, async (req, res) => {
   }
 })
 
+// @desc    Request a password reset email
+// @route   POST /api/auth/forgot-password
+// @access  Public
+router.post("/forgot-password", authLimiter, async (req, res) => {
+  try {
+    const { email } = req.body
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide an email",
+      })
+    }
+
+    // Respond the same way whether or not the account exists
+    const genericResponse = {
+      success: true,
+      message: "If an account exists for this email, a reset link has been sent",
+    }
+
+    const user = await User.findOne({ email: email.toLowerCase(), isActive: true })
+
+    if (!user) {
+      return res.status(200).json(genericResponse)
+    }
+
+    const resetToken = user.getResetPasswordToken()
+    await user.save({ validateBeforeSave: false })
+
+    const resetUrl = `${process.env.FRONTEND_URL || "http://localhost:3000"}/reset-password/${resetToken}`
+    const expireMinutes = Number.parseInt(process.env.RESET_PASSWORD_EXPIRE) || 30
+
+    try {
+      await sendMail({
+        to: user.email,
+        subject: "Password reset request",
+        text: `Hi ${user.firstName},\n\nUse the link below to reset your password. It expires in ${expireMinutes} minutes.\n\n${resetUrl}\n\nIf you did not request this, you can ignore this email.`,
+      })
+    } catch (mailError) {
+      // Logged only: an error response would reveal that the account exists
+      console.error("Reset email error:", mailError)
+
+      user.resetPasswordToken = undefined
+      user.resetPasswordExpire = undefined
+      await user.save({ validateBeforeSave: false })
+    }
+
+    res.status(200).json(genericResponse)
+  } catch (error) {
+    console.error("Forgot password error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Reset password with a reset token
+// @route   PUT /api/auth/reset-password/:token
+// @access  Public
+router.put("/reset-password/:token", authLimiter, async (req, res) => {
+  try {
+    const { password } = req.body
+
+    if (!password) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide a new password",
+      })
+    }
+
+    const resetPasswordToken = crypto.createHash("sha256").update(req.params.token).digest("hex")
+
+    const user = await User.findOne({
+      resetPasswordToken,
+      resetPasswordExpire: { $gt: Date.now() },
+    })
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired reset token",
+      })
+    }
+
+    // Set the new password and consume the token
+    user.password = password
+    user.resetPasswordToken = undefined
+    user.resetPasswordExpire = undefined
+    user.loginAttempts = 0
+    user.lockUntil = undefined
+    await user.save()
+
+    // Log out every existing session
+    await RefreshToken.revokeAllForUser(user._id, "password-change")
+
+    await recordAudit(req, {
+      action: "update",
+      entity: "User",
+      entityId: user._id,
+      actor: user,
+      metadata: { passwordReset: true },
+    })
+
+    res.status(200).json({
+      success: true,
+      message: "Password has been reset, please log in with your new password",
+    })
+  } catch (error) {
+    console.error("Reset password error:", error)
+
+    if (error.name === "ValidationError") {
+      const messages = Object.values(error.errors).map((err) => err.message)
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        errors: messages,
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
 // @desc    Logout user
 // @route   POST /api/auth/logout
 // @access  Private
 router.post("/logout", protect, async (req, res) => {
   try {
-    // In a real application, you might want to blacklist the token
-    // For now, we'll just send a success response
+    // Revoke every refresh token in this session; protect rejects its access tokens from now on
+    await RefreshToken.revokeFamily(req.sessionId, "logout")
+
     res.status(200).json({
       success: true,
       message: "Logged out successfully",
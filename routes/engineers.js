@@ -2,7 +2,16 @@ const express = require("express")
 const User = require("../models/User")
 const Assignment = require("../models/Assignment")
 const Project = require("../models/Project")
-const { protect, isAdminOrManager } = require("../middleware/auth")
+const { protect, permit } = require("../middleware/auth")
+const { can, accessScope, redactUser } = require("../utils/policy")
+const { createInvitation } = require("../utils/invitations")
+const { recordAudit, snapshot } = require("../utils/audit")
+const { ACTIVE_STATUSES } = require("../utils/workflow")
+const { computeEngineerMetrics, refreshEngineerMetrics, hasOverride } = require("../utils/metrics")
+const { runMetricsJob, isMetricsJobRunning } = require("../jobs/metrics")
+const { forecastCapacity, weeklyAvailableHours, deadlineRisks } = require("../utils/capacity")
+const { EXPERIENCE_LEVELS, recommendEngineers } = require("../utils/recommendations")
+const { skillQuery } = require("../utils/skills")
 
 const router = express.Router()
 
@@ -17,7 +26,7 @@ const router = express.Router()
 // @desc    Get all engineers
 // @route   GET /api/engineers
 // @access  Private (Admin/Manager)
-router.get("/", protect, isAdminOrManager, async (req, res) => {
+router.get("/", protect, permit("engineer:list"), async (req, res) => {
   try {
     const query = { role: "engineer", isActive: true }
 
@@ -31,10 +40,9 @@ router.get("/", protect, isAdminOrManager, async (req, res) => {
       query.experienceLevel = req.query.experienceLevel
     }
 
-    // Filter by skills if provided
+    // Filter by skills (names or aliases) if provided, optionally at a minimum proficiency
     if (req.query.skills) {
-      const skillsArray = req.query.skills.split(",")
-      query.skills = { $in: skillsArray }
+      Object.assign(query, await skillQuery(req.query.skills.split(","), req.query.minProficiency))
     }
 
     // Search by name
@@ -48,21 +56,26 @@ router.get("/", protect, isAdminOrManager, async (req, res) => {
       .populate("currentProjectsCount")
       .sort({ createdAt: -1 })
 
+    // This week's hours after time off and holidays
+    const availableThisWeek = await weeklyAvailableHours(engineers)
+
     // Calculate current workload for each engineer
     const engineersWithWorkload = await Promise.all(
       engineers.map(async (engineer) => {
         const activeAssignments = await Assignment.find({
           assignee: engineer._id,
-          status: { $in: ["active", "in-progress"] },
+          status: { $in: ACTIVE_STATUSES },
         }).populate("project", "name")
 
         const totalHours = activeAssignments.reduce((sum, assignment) => sum + (assignment.estimatedHours || 0), 0)
+        const [weekHours] = availableThisWeek[engineer._id.toString()]
 
         return {
-          ...engineer.toObject(),
+          ...redactUser(req.user, engineer),
           currentProjects: activeAssignments.length,
           currentWorkloadHours: totalHours,
-          availableHours: Math.max(0, engineer.availability - totalHours),
+          availableThisWeek: weekHours,
+          availableHours: Math.max(0, weekHours - totalHours),
           activeAssignments: activeAssignments.map((a) => ({
             id: a._id,
             title: a.title,
@@ -95,11 +108,12 @@ router.get("/overview", protect, async (req, res) => {
     const matchQuery = {}
     let assignmentQuery = {}
 
-    // Filter projects & assignments based on user role
-    if (req.user.role === "manager") {
+    // Filter projects & assignments based on the user's access scope
+    const scope = accessScope(req.user, "project:view")
+    if (scope === "managed") {
       matchQuery.manager = req.user._id
       assignmentQuery.manager = req.user._id
-    } else if (req.user.role === "engineer") {
+    } else if (scope === "own") {
       const userAssignments = await Assignment.find({ assignee: req.user._id }).distinct("project")
       matchQuery._id = { $in: userAssignments }
       assignmentQuery.assignee = req.user._id
@@ -144,7 +158,7 @@ router.get("/overview", protect, async (req, res) => {
     const assignmentData = {
       totalAssignments: assignments.length,
       activeAssignments: assignments.filter((a) =>
-        ["active", "in-progress"].includes(a.status)
+        ACTIVE_STATUSES.includes(a.status)
       ).length,
       completedAssignments: assignments.filter((a) => a.status === "completed").length,
       overdueAssignments: assignments.filter(
@@ -188,13 +202,13 @@ router.get("/overview", protect, async (req, res) => {
 
 
 
-router.put("/post", protect, isAdminOrManager, async (req, res) => {
+// Create an engineer invitation; the invitee sets their own password on acceptance
+const inviteEngineer = async (req, res) => {
   try {
     const {
       firstName,
       lastName,
       email,
-      username,
       avatarUrl,
       experienceLevel,
       department,
@@ -202,57 +216,149 @@ router.put("/post", protect, isAdminOrManager, async (req, res) => {
       availability,
       location,
       skills,
-    } = req.body;
+    } = req.body
+
+    const invitation = await createInvitation(
+      {
+        email,
+        firstName,
+        lastName,
+        role: "engineer",
+        department,
+        profile: {
+          experienceLevel,
+          skills,
+          hourlyRate,
+          availability,
+          location,
+          avatar: avatarUrl,
+        },
+      },
+      req.user,
+    )
 
-    // Check if user already exists
-    const existingUser = await User.findOne({ email });
-    if (existingUser) {
+    await recordAudit(req, { action: "create", entity: "Invitation", entityId: invitation._id, after: invitation })
+
+    res.status(201).json({
+      success: true,
+      message: "Engineer invited successfully",
+      data: {
+        id: invitation._id,
+        email: invitation.email,
+        status: invitation.status,
+        expiresAt: invitation.expiresAt,
+      },
+    })
+  } catch (error) {
+    console.error("Invite engineer error:", error)
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      })
+    }
+
+    if (error.name === "ValidationError") {
+      const messages = Object.values(error.errors).map((err) => err.message)
       return res.status(400).json({
         success: false,
-        message: "Engineer with this email already exists",
-      });
+        message: "Validation error",
+        errors: messages,
+      })
     }
 
-    const newEngineer = await User.create({
-      firstName,
-      lastName,
-      email,
-      username,
-      avatar: avatarUrl || "/placeholder.svg",
-      role: "engineer",
+    res.status(500).json({
+      success: false,
+      message: "Server error while inviting engineer",
+    })
+  }
+}
+
+// @desc    Invite engineer
+// @route   PUT /api/engineers/post
+// @access  Private (Admin/Manager)
+router.put("/post", protect, permit("invitation:create"), inviteEngineer)
+
+
+// @desc    Forecast weekly capacity (supply vs. demand) by department and skill
+// @route   GET /api/engineers/capacity?weeks=&department=&skill=
+// @access  Private (Admin/Manager)
+router.get("/capacity", protect, permit("engineer:list"), async (req, res) => {
+  try {
+    const { weeks, department, skill } = req.query
+    const forecast = await forecastCapacity({ weeks, department, skill })
+
+    res.status(200).json({
+      success: true,
+      data: forecast,
+    })
+  } catch (error) {
+    console.error("Capacity forecast error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Recommend engineers for new work, ranked with an explanation per score
+// @route   GET /api/engineers/recommendations?skills=&experienceLevel=&estimatedHours=&deadline=&project=&department=&limit=
+// @access  Private (Admin/Manager)
+router.get("/recommendations", protect, permit("engineer:list"), async (req, res) => {
+  try {
+    const { skills, experienceLevel, estimatedHours, deadline, project, department, limit } = req.query
+
+    if (experienceLevel && !EXPERIENCE_LEVELS.includes(experienceLevel)) {
+      return res.status(400).json({
+        success: false,
+        message: `Experience level must be one of: ${EXPERIENCE_LEVELS.join(", ")}`,
+      })
+    }
+
+    if (deadline && Number.isNaN(new Date(deadline).getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: "Deadline must be a valid date",
+      })
+    }
+
+    const recommendations = await recommendEngineers({
+      skills: skills ? skills.split(",") : [],
       experienceLevel,
+      estimatedHours,
+      deadline,
+      project,
       department,
-      hourlyRate,
-      availability,
-      location,
-      skills,
-      password: "engineer123", // or generate a random password
-      isActive: true,
-    });
+      limit,
+    })
 
-    res.status(201).json({
+    res.status(200).json({
       success: true,
-      message: "Engineer created successfully",
-      data: {
-        id: newEngineer._id,
-        name: newEngineer.fullName,
-        email: newEngineer.email,
-      },
-    });
+      count: recommendations.length,
+      data: recommendations,
+    })
   } catch (error) {
-    console.error("Create engineer error:", error);
+    console.error("Recommend engineers error:", error)
+
+    if (error.name === "CastError") {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid project id",
+      })
+    }
+
     res.status(500).json({
       success: false,
-      message: "Server error while creating engineer",
-    });
+      message: "Server error",
+    })
   }
 })
 
-
 // @desc    Get engineer details with assignments and projects
 // @route   GET /api/engineers/:id
 // @access  Private
-router.get("/:id", protect, async (req, res) => {
+router.get("/:id", protect, permit("engineer:view"), async (req, res) => {
   try {
     const engineer = await User.findOne({
       _id: req.params.id,
@@ -268,7 +374,7 @@ router.get("/:id", protect, async (req, res) => {
     }
 
     // Check permissions
-    if (req.user.role === "engineer" && req.user.id !== req.params.id) {
+    if (!can(req.user, "engineer:view", engineer)) {
       return res.status(403).json({
         success: false,
         message: "Not authorized to view this engineer's details",
@@ -289,7 +395,7 @@ router.get("/:id", protect, async (req, res) => {
     // Calculate statistics
     const stats = {
       totalAssignments: assignments.length,
-      activeAssignments: assignments.filter((a) => ["active", "in-progress"].includes(a.status)).length,
+      activeAssignments: assignments.filter((a) => ACTIVE_STATUSES.includes(a.status)).length,
       completedAssignments: assignments.filter((a) => a.status === "completed").length,
       totalProjects: projects.length,
       averageProgress:
@@ -301,7 +407,7 @@ router.get("/:id", protect, async (req, res) => {
     res.status(200).json({
       success: true,
       data: {
-        engineer,
+        engineer: redactUser(req.user, engineer),
         assignments,
         projects,
         stats,
@@ -316,12 +422,100 @@ router.get("/:id", protect, async (req, res) => {
   }
 })
 
-// @desc    Update engineer utilization and efficiency
+// @desc    Start recomputing metrics and snapshots for all engineers
+// @route   POST /api/engineers/metrics/refresh
+// @access  Private (Admin)
+router.post("/metrics/refresh", protect, permit("engineer:refresh-metrics"), async (req, res) => {
+  try {
+    if (isMetricsJobRunning()) {
+      return res.status(409).json({
+        success: false,
+        message: "An engineer metrics refresh is already running",
+      })
+    }
+
+    // The job also recalculates every project's costs, so it runs in the background
+    runMetricsJob().catch((error) => console.error("Metrics job error:", error))
+
+    res.status(202).json({
+      success: true,
+      message: "Engineer metrics refresh started",
+    })
+  } catch (error) {
+    console.error("Refresh engineer metrics error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Get engineer metrics with the computation behind them
+// @route   GET /api/engineers/:id/metrics
+// @access  Private
+router.get("/:id/metrics", protect, permit("engineer:view"), async (req, res) => {
+  try {
+    const engineer = await User.findOne({
+      _id: req.params.id,
+      role: "engineer",
+      isActive: true,
+    }).populate("metricsOverride.setBy", "firstName lastName email")
+
+    if (!engineer) {
+      return res.status(404).json({
+        success: false,
+        message: "Engineer not found",
+      })
+    }
+
+    if (!can(req.user, "engineer:view", engineer)) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to view this engineer",
+      })
+    }
+
+    const computed = await computeEngineerMetrics(engineer)
+
+    res.status(200).json({
+      success: true,
+      data: {
+        utilization: engineer.utilization,
+        efficiency: engineer.efficiency,
+        metricsComputedAt: engineer.metricsComputedAt,
+        computed,
+        override: hasOverride(engineer) ? engineer.metricsOverride : null,
+      },
+    })
+  } catch (error) {
+    console.error("Get engineer metrics error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Override computed engineer utilization and efficiency
 // @route   PUT /api/engineers/:id/metrics
 // @access  Private (Admin/Manager)
-router.put("/:id/metrics", protect, isAdminOrManager, async (req, res) => {
+router.put("/:id/metrics", protect, permit("engineer:update-metrics"), async (req, res) => {
   try {
-    const { utilization, efficiency } = req.body
+    const { utilization, efficiency, reason, expiresAt } = req.body
+
+    if (!reason || reason.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "A reason is required to override computed metrics",
+      })
+    }
+
+    if (utilization === undefined && efficiency === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: "Provide utilization and/or efficiency to override",
+      })
+    }
 
     const engineer = await User.findOne({
       _id: req.params.id,
@@ -336,28 +530,104 @@ router.put("/:id/metrics", protect, isAdminOrManager, async (req, res) => {
       })
     }
 
-    // Update metrics
-    if (utilization !== undefined) {
-      engineer.utilization = Math.max(0, Math.min(100, utilization))
+    const original = snapshot(engineer)
+
+    engineer.metricsOverride = {
+      utilization: utilization !== undefined ? Math.max(0, utilization) : undefined,
+      efficiency: efficiency !== undefined ? Math.max(0, Math.min(100, efficiency)) : undefined,
+      reason: reason.trim(),
+      setBy: req.user._id,
+      setAt: new Date(),
+      expiresAt: expiresAt ? new Date(expiresAt) : undefined,
     }
 
-    if (efficiency !== undefined) {
-      engineer.efficiency = Math.max(0, Math.min(100, efficiency))
+    if (engineer.metricsOverride.utilization !== undefined) {
+      engineer.utilization = engineer.metricsOverride.utilization
+    }
+
+    if (engineer.metricsOverride.efficiency !== undefined) {
+      engineer.efficiency = engineer.metricsOverride.efficiency
     }
 
     await engineer.save()
 
+    await recordAudit(req, {
+      action: "update",
+      entity: "User",
+      entityId: engineer._id,
+      before: original,
+      after: engineer,
+      metadata: { metricsOverride: true, reason: reason.trim() },
+    })
+
     res.status(200).json({
       success: true,
-      message: "Engineer metrics updated successfully",
+      message: "Engineer metrics overridden",
       data: {
         id: engineer._id,
         utilization: engineer.utilization,
         efficiency: engineer.efficiency,
+        override: engineer.metricsOverride,
       },
     })
   } catch (error) {
     console.error("Update engineer metrics error:", error)
+
+    if (error.name === "ValidationError") {
+      const messages = Object.values(error.errors).map((err) => err.message)
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        errors: messages,
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Remove metrics override and recompute
+// @route   DELETE /api/engineers/:id/metrics/override
+// @access  Private (Admin/Manager)
+router.delete("/:id/metrics/override", protect, permit("engineer:update-metrics"), async (req, res) => {
+  try {
+    const engineer = await User.findOne({
+      _id: req.params.id,
+      role: "engineer",
+      isActive: true,
+    })
+
+    if (!engineer) {
+      return res.status(404).json({
+        success: false,
+        message: "Engineer not found",
+      })
+    }
+
+    const original = snapshot(engineer)
+
+    engineer.metricsOverride = undefined
+    const metrics = await refreshEngineerMetrics(engineer)
+
+    await recordAudit(req, {
+      action: "update",
+      entity: "User",
+      entityId: engineer._id,
+      before: original,
+      after: engineer,
+      metadata: { metricsOverride: false },
+    })
+
+    res.status(200).json({
+      success: true,
+      message: "Metrics override removed",
+      data: metrics,
+    })
+  } catch (error) {
+    console.error("Remove metrics override error:", error)
     res.status(500).json({
       success: false,
       message: "Server error",
@@ -368,7 +638,7 @@ router.put("/:id/metrics", protect, isAdminOrManager, async (req, res) => {
 // @desc    Get engineer workload analysis
 // @route   GET /api/engineers/:id/workload
 // @access  Private
-router.get("/:id/workload", protect, async (req, res) => {
+router.get("/:id/workload", protect, permit("engineer:view-workload"), async (req, res) => {
   try {
     const engineer = await User.findOne({
       _id: req.params.id,
@@ -384,7 +654,7 @@ router.get("/:id/workload", protect, async (req, res) => {
     }
 
     // Check permissions
-    if (req.user.role === "engineer" && req.user.id !== req.params.id) {
+    if (!can(req.user, "engineer:view-workload", engineer)) {
       return res.status(403).json({
         success: false,
         message: "Not authorized to view this workload analysis",
@@ -394,12 +664,30 @@ router.get("/:id/workload", protect, async (req, res) => {
     // Get active assignments
     const activeAssignments = await Assignment.find({
       assignee: req.params.id,
-      status: { $in: ["active", "in-progress"] },
+      status: { $in: ACTIVE_STATUSES },
     }).populate("project", "name priority deadline")
 
+    // Real hours for the next four weeks (time off and holidays removed)
+    const availableByWeek = (await weeklyAvailableHours([engineer], { weeks: 4 }))[engineer._id.toString()]
+    const [availableThisWeek] = availableByWeek
+
+    // Assignments whose remaining work does not fit in the hours left before their deadline
+    const risks = await deadlineRisks(
+      activeAssignments.map((a) => ({
+        _id: a._id,
+        title: a.title,
+        project: a.project._id,
+        deadline: a.deadline,
+        estimatedHours: a.estimatedHours,
+        totalLoggedHours: a.totalLoggedHours,
+        assignee: engineer,
+      })),
+    )
+    const riskById = new Map(risks.map((risk) => [risk.assignment.toString(), risk]))
+
     // Calculate workload
     const totalEstimatedHours = activeAssignments.reduce((sum, a) => sum + (a.estimatedHours || 0), 0)
-    const utilizationPercentage = (totalEstimatedHours / engineer.availability) * 100
+    const utilizationPercentage = availableThisWeek > 0 ? (totalEstimatedHours / availableThisWeek) * 100 : 0
 
     // Get upcoming deadlines
     const upcomingDeadlines = activeAssignments
@@ -421,10 +709,12 @@ router.get("/:id/workload", protect, async (req, res) => {
       currentWorkload: {
         activeAssignments: activeAssignments.length,
         totalEstimatedHours,
-        availableHours: Math.max(0, engineer.availability - totalEstimatedHours),
+        availableThisWeek,
+        availableHours: Math.max(0, availableThisWeek - totalEstimatedHours),
         utilizationPercentage: Math.round(utilizationPercentage),
-        isOverloaded: utilizationPercentage > 100,
+        isOverloaded: totalEstimatedHours > availableThisWeek,
       },
+      availableByWeek,
       assignments: activeAssignments.map((a) => ({
         id: a._id,
         title: a.title,
@@ -434,14 +724,17 @@ router.get("/:id/workload", protect, async (req, res) => {
         progress: a.progress,
         deadline: a.deadline,
         daysUntilDeadline: a.daysUntilDeadline,
+        atRisk: riskById.has(a._id.toString()),
+        shortfallHours: riskById.has(a._id.toString()) ? riskById.get(a._id.toString()).shortfall : 0,
       })),
       upcomingDeadlines,
+      deadlineRisks: risks,
       overdueAssignments,
       recommendations: [],
     }
 
     // Add recommendations based on workload
-    if (utilizationPercentage > 100) {
+    if (totalEstimatedHours > availableThisWeek) {
       workloadAnalysis.recommendations.push({
         type: "warning",
         message: "Engineer is overloaded. Consider redistributing assignments.",
@@ -460,6 +753,13 @@ router.get("/:id/workload", protect, async (req, res) => {
       })
     }
 
+    if (risks.length > 0) {
+      workloadAnalysis.recommendations.push({
+        type: "warning",
+        message: `${risks.length} assignment(s) cannot be finished by their deadline with the hours available.`,
+      })
+    }
+
     res.status(200).json({
       success: true,
       data: workloadAnalysis,
@@ -475,66 +775,10 @@ router.get("/:id/workload", protect, async (req, res) => {
 
 
 
-router.post("/post", protect, isAdminOrManager, async (req, res) => {
-  console.log("converted to post")
-  try {
-    const {
-      firstName,
-      lastName,
-      email,
-      username,
-      avatarUrl,
-      experienceLevel,
-      department,
-      hourlyRate,
-      availability,
-      location,
-      skills,
-    } = req.body;
-
-    // Check if user already exists
-    const existingUser = await User.findOne({ email });
-    if (existingUser) {
-      return res.status(400).json({
-        success: false,
-        message: "Engineer with this email already exists",
-      });
-    }
-
-    const newEngineer = await User.create({
-      firstName,
-      lastName,
-      email,
-      username,
-      avatar: avatarUrl || "/placeholder.svg",
-      role: "engineer",
-      experienceLevel,
-      department,
-      hourlyRate,
-      availability,
-      location,
-      skills,
-      password: "engineer123", // or generate a random password
-      isActive: true,
-    });
-
-    res.status(201).json({
-      success: true,
-      message: "Engineer created successfully",
-      data: {
-        id: newEngineer._id,
-        name: newEngineer.fullName,
-        email: newEngineer.email,
-      },
-    });
-  } catch (error) {
-    console.error("Create engineer error:", error);
-    res.status(500).json({
-      success: false,
-      message: "Server error while creating engineer",
-    });
-  }
-});
+// @desc    Invite engineer
+// @route   POST /api/engineers/post
+// @access  Private (Admin/Manager)
+router.post("/post", protect, permit("invitation:create"), inviteEngineer)
 
 
 
@@ -0,0 +1,178 @@
+const express = require("express")
+const HolidayCalendar = require("../models/HolidayCalendar")
+const { protect, permit } = require("../middleware/auth")
+const { recordAudit, snapshot } = require("../utils/audit")
+const { dayKey } = require("../utils/timesheets")
+
+const router = express.Router()
+
+// Store holidays at 00:00 UTC so they line up with day keys
+const normalizeHolidays = (holidays) =>
+  (holidays || []).map((holiday) => ({
+    ...holiday,
+    date: Number.isNaN(new Date(holiday.date).getTime()) ? holiday.date : new Date(`${dayKey(holiday.date)}T00:00:00.000Z`),
+  }))
+
+// @desc    Get holiday calendars
+// @route   GET /api/holidays?location=
+// @access  Private
+router.get("/", protect, permit("holiday:view"), async (req, res) => {
+  try {
+    const query = {}
+
+    if (req.query.location) {
+      query.$or = [{ locations: req.query.location.trim().toLowerCase() }, { isDefault: true }]
+    }
+
+    const calendars = await HolidayCalendar.find(query).sort({ isDefault: -1, name: 1 })
+
+    res.status(200).json({
+      success: true,
+      count: calendars.length,
+      data: calendars,
+    })
+  } catch (error) {
+    console.error("Get holiday calendars error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Create holiday calendar
+// @route   POST /api/holidays
+// @access  Private (Admin)
+router.post("/", protect, permit("holiday:manage"), async (req, res) => {
+  try {
+    const { name, locations, isDefault, holidays } = req.body
+
+    const calendar = await HolidayCalendar.create({
+      name,
+      locations,
+      isDefault,
+      holidays: normalizeHolidays(holidays),
+    })
+
+    // Only replace the default once the new one is saved
+    if (calendar.isDefault) {
+      await HolidayCalendar.updateMany({ _id: { $ne: calendar._id }, isDefault: true }, { isDefault: false })
+    }
+
+    await recordAudit(req, { action: "create", entity: "HolidayCalendar", entityId: calendar._id, after: calendar })
+
+    res.status(201).json({
+      success: true,
+      message: "Holiday calendar created successfully",
+      data: calendar,
+    })
+  } catch (error) {
+    console.error("Create holiday calendar error:", error)
+
+    if (error.name === "ValidationError") {
+      const messages = Object.values(error.errors).map((err) => err.message)
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        errors: messages,
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Update holiday calendar (holidays replaces the whole list)
+// @route   PUT /api/holidays/:id
+// @access  Private (Admin)
+router.put("/:id", protect, permit("holiday:manage"), async (req, res) => {
+  try {
+    const calendar = await HolidayCalendar.findById(req.params.id)
+
+    if (!calendar) {
+      return res.status(404).json({
+        success: false,
+        message: "Holiday calendar not found",
+      })
+    }
+
+    const original = snapshot(calendar)
+    const { name, locations, isDefault, holidays } = req.body
+
+    if (name !== undefined) calendar.name = name
+    if (locations !== undefined) calendar.locations = locations
+    if (isDefault !== undefined) calendar.isDefault = isDefault
+    if (holidays !== undefined) calendar.holidays = normalizeHolidays(holidays)
+
+    await calendar.save()
+
+    // Only replace the default once this calendar is saved
+    if (calendar.isDefault) {
+      await HolidayCalendar.updateMany({ _id: { $ne: calendar._id }, isDefault: true }, { isDefault: false })
+    }
+
+    await recordAudit(req, {
+      action: "update",
+      entity: "HolidayCalendar",
+      entityId: calendar._id,
+      before: original,
+      after: calendar,
+    })
+
+    res.status(200).json({
+      success: true,
+      message: "Holiday calendar updated successfully",
+      data: calendar,
+    })
+  } catch (error) {
+    console.error("Update holiday calendar error:", error)
+
+    if (error.name === "ValidationError") {
+      const messages = Object.values(error.errors).map((err) => err.message)
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        errors: messages,
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Delete holiday calendar
+// @route   DELETE /api/holidays/:id
+// @access  Private (Admin)
+router.delete("/:id", protect, permit("holiday:manage"), async (req, res) => {
+  try {
+    const calendar = await HolidayCalendar.findByIdAndDelete(req.params.id)
+
+    if (!calendar) {
+      return res.status(404).json({
+        success: false,
+        message: "Holiday calendar not found",
+      })
+    }
+
+    await recordAudit(req, { action: "delete", entity: "HolidayCalendar", entityId: calendar._id, before: calendar })
+
+    res.status(200).json({
+      success: true,
+      message: "Holiday calendar deleted successfully",
+    })
+  } catch (error) {
+    console.error("Delete holiday calendar error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+module.exports = router
@@ -0,0 +1,342 @@
+const express = require("express")
+const mongoose = require("mongoose")
+const rateLimit = require("express-rate-limit")
+const User = require("../models/User")
+const Invitation = require("../models/Invitation")
+const { protect, permit } = require("../middleware/auth")
+const { can, accessScope } = require("../utils/policy")
+const { createInvitation, sendInvitation } = require("../utils/invitations")
+const { recordAudit } = require("../utils/audit")
+
+const router = express.Router()
+
+// Rate limiting for public invitation routes
+const inviteLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // limit each IP to 10 requests per windowMs
+  message: {
+    success: false,
+    message: "Too many invitation attempts, please try again later",
+  },
+})
+
+// @desc    Get invitations
+// @route   GET /api/invitations
+// @access  Private (Admin/Manager)
+router.get("/", protect, permit("invitation:view"), async (req, res) => {
+  try {
+    const query = {}
+
+    // Managers only see the invitations they sent
+    if (accessScope(req.user, "invitation:view") === "own") {
+      query.invitedBy = req.user.id
+    }
+
+    // Filter by status if provided
+    if (req.query.status) {
+      query.status = req.query.status
+    }
+
+    const invitations = await Invitation.find(query)
+      .populate("invitedBy", "firstName lastName email")
+      .populate("acceptedUser", "firstName lastName email")
+      .sort({ createdAt: -1 })
+
+    res.status(200).json({
+      success: true,
+      count: invitations.length,
+      data: invitations,
+    })
+  } catch (error) {
+    console.error("Get invitations error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Create invitation
+// @route   POST /api/invitations
+// @access  Private (Admin/Manager)
+router.post("/", protect, permit("invitation:create"), async (req, res) => {
+  try {
+    const { email, firstName, lastName, role, department, profile } = req.body
+
+    const invitation = await createInvitation({ email, firstName, lastName, role, department, profile }, req.user)
+
+    await recordAudit(req, { action: "create", entity: "Invitation", entityId: invitation._id, after: invitation })
+
+    res.status(201).json({
+      success: true,
+      message: "Invitation sent successfully",
+      data: invitation,
+    })
+  } catch (error) {
+    console.error("Create invitation error:", error)
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      })
+    }
+
+    if (error.name === "ValidationError") {
+      const messages = Object.values(error.errors).map((err) => err.message)
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        errors: messages,
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Look up an invitation by token
+// @route   GET /api/invitations/verify/:token
+// @access  Public
+router.get("/verify/:token", inviteLimiter, async (req, res) => {
+  try {
+    const invitation = await Invitation.findByToken(req.params.token)
+
+    if (!invitation) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired invitation",
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        email: invitation.email,
+        firstName: invitation.firstName,
+        lastName: invitation.lastName,
+        role: invitation.role,
+        department: invitation.department,
+        expiresAt: invitation.expiresAt,
+      },
+    })
+  } catch (error) {
+    console.error("Verify invitation error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Accept invitation and set password
+// @route   POST /api/invitations/accept
+// @access  Public
+router.post("/accept", inviteLimiter, async (req, res) => {
+  try {
+    const { token, password, firstName, lastName, phone } = req.body
+
+    if (!token || !password) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide the invitation token and a password",
+      })
+    }
+
+    const invitation = await Invitation.findByToken(token)
+
+    if (!invitation) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid or expired invitation",
+      })
+    }
+
+    const existingUser = await User.findOne({ email: invitation.email })
+    if (existingUser) {
+      return res.status(400).json({
+        success: false,
+        message: "User already exists with this email",
+      })
+    }
+
+    const { profile = {} } = invitation
+
+    const user = await User.create({
+      firstName: firstName || invitation.firstName,
+      lastName: lastName || invitation.lastName,
+      email: invitation.email,
+      password,
+      role: invitation.role,
+      department: invitation.department,
+      experienceLevel: profile.experienceLevel || "junior",
+      skills: profile.skills || [],
+      hourlyRate: profile.hourlyRate,
+      availability: profile.availability || 40,
+      location: profile.location,
+      avatar: profile.avatar,
+      phone,
+    })
+
+    invitation.status = "accepted"
+    invitation.acceptedAt = new Date()
+    invitation.acceptedUser = user._id
+    invitation.tokenHash = undefined
+    await invitation.save()
+
+    await recordAudit(req, {
+      action: "create",
+      entity: "User",
+      entityId: user._id,
+      after: user,
+      actor: user,
+      metadata: { invitation: invitation._id },
+    })
+
+    // Same as login: roles that require 2FA enrol before they get a session
+    if (user.requiresTwoFactor()) {
+      return res.status(201).json({
+        success: true,
+        message: "Invitation accepted, account created",
+        twoFactorSetupRequired: true,
+        challengeToken: user.getTwoFactorChallengeToken("2fa-setup"),
+      })
+    }
+
+    const { token: accessToken, refreshToken } = await user.createSession(req.ip)
+    await user.updateLastLogin()
+
+    res.status(201).json({
+      success: true,
+      message: "Invitation accepted, account created",
+      token: accessToken,
+      refreshToken,
+      user: {
+        id: user._id,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        email: user.email,
+        role: user.role,
+        department: user.department,
+        experienceLevel: user.experienceLevel,
+      },
+    })
+  } catch (error) {
+    console.error("Accept invitation error:", error)
+
+    if (error.name === "ValidationError") {
+      const messages = Object.values(error.errors).map((err) => err.message)
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        errors: messages,
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Resend invitation with a new token
+// @route   POST /api/invitations/:id/resend
+// @access  Private (Admin/Manager)
+router.post("/:id/resend", protect, permit("invitation:manage"), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid invitation id",
+      })
+    }
+
+    const invitation = await Invitation.findById(req.params.id)
+
+    if (!invitation || invitation.status !== "pending") {
+      return res.status(404).json({
+        success: false,
+        message: "Pending invitation not found",
+      })
+    }
+
+    if (!can(req.user, "invitation:manage", invitation)) {
+      return res.status(403).json({
+        success: false,
+        message: "You can only resend invitations you sent",
+      })
+    }
+
+    await sendInvitation(invitation, req.user)
+
+    res.status(200).json({
+      success: true,
+      message: "Invitation resent successfully",
+      data: invitation,
+    })
+  } catch (error) {
+    console.error("Resend invitation error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Revoke invitation
+// @route   DELETE /api/invitations/:id
+// @access  Private (Admin/Manager)
+router.delete("/:id", protect, permit("invitation:manage"), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid invitation id",
+      })
+    }
+
+    const invitation = await Invitation.findById(req.params.id)
+
+    if (!invitation || invitation.status !== "pending") {
+      return res.status(404).json({
+        success: false,
+        message: "Pending invitation not found",
+      })
+    }
+
+    if (!can(req.user, "invitation:manage", invitation)) {
+      return res.status(403).json({
+        success: false,
+        message: "You can only revoke invitations you sent",
+      })
+    }
+
+    invitation.status = "revoked"
+    await invitation.save()
+
+    await recordAudit(req, {
+      action: "update",
+      entity: "Invitation",
+      entityId: invitation._id,
+      before: { status: "pending" },
+      after: { status: "revoked" },
+    })
+
+    res.status(200).json({
+      success: true,
+      message: "Invitation revoked successfully",
+    })
+  } catch (error) {
+    console.error("Revoke invitation error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+module.exports = router
@@ -0,0 +1,97 @@
+const express = require("express")
+const Notification = require("../models/Notification")
+const { protect } = require("../middleware/auth")
+
+const router = express.Router()
+
+// @desc    Get my notifications, newest first
+// @route   GET /api/notifications?unread=true&type=&limit=
+// @access  Private
+router.get("/", protect, async (req, res) => {
+  try {
+    const query = { user: req.user._id }
+
+    if (req.query.unread === "true") {
+      query.readAt = null
+    }
+
+    if (req.query.type) {
+      query.type = req.query.type
+    }
+
+    const limit = Math.min(Math.max(Number.parseInt(req.query.limit) || 50, 1), 200)
+
+    const [notifications, unreadCount] = await Promise.all([
+      Notification.find(query).sort({ createdAt: -1 }).limit(limit),
+      Notification.countDocuments({ user: req.user._id, readAt: null }),
+    ])
+
+    res.status(200).json({
+      success: true,
+      count: notifications.length,
+      unreadCount,
+      data: notifications,
+    })
+  } catch (error) {
+    console.error("Get notifications error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Mark all my notifications as read
+// @route   PUT /api/notifications/read-all
+// @access  Private
+router.put("/read-all", protect, async (req, res) => {
+  try {
+    const result = await Notification.updateMany({ user: req.user._id, readAt: null }, { $set: { readAt: new Date() } })
+
+    res.status(200).json({
+      success: true,
+      message: "Notifications marked as read",
+      updated: result.modifiedCount,
+    })
+  } catch (error) {
+    console.error("Mark all notifications read error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Mark a notification as read
+// @route   PUT /api/notifications/:id/read
+// @access  Private
+router.put("/:id/read", protect, async (req, res) => {
+  try {
+    const notification = await Notification.findOne({ _id: req.params.id, user: req.user._id })
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: "Notification not found",
+      })
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date()
+      await notification.save()
+    }
+
+    res.status(200).json({
+      success: true,
+      data: notification,
+    })
+  } catch (error) {
+    console.error("Mark notification read error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+module.exports = router
@@ -1,24 +1,37 @@
 const express = require("express")
+const path = require("path")
+const mongoose = require("mongoose")
 const Project = require("../models/Project")
+const User = require("../models/User")
 const Assignment = require("../models/Assignment")
-const { protect, authorize, isAdminOrManager } = require("../middleware/auth")
+const { protect, permit } = require("../middleware/auth")
+const { can, accessScope } = require("../utils/policy")
+const { recordAudit, snapshot } = require("../utils/audit")
+const { DEFAULT_TRANSITIONS, validateTransitions } = require("../utils/workflow")
+const { capacityCheckMode, checkAllocation } = require("../utils/capacity")
+const { costBreakdown } = require("../utils/costs")
+const { budgetForecast } = require("../utils/budget")
+const { uploadSingle } = require("../middleware/upload")
+const { saveFile } = require("../utils/storage")
+const { storageQuota, storageUsed, sendAttachment, removeStoredFiles } = require("../utils/attachments")
 
 const router = express.Router()
 
 // @desc    Get all projects
 // @route   GET /api/projects
 // @access  Private
-router.get("/", protect, async (req, res) => {
+router.get("/", protect, permit("project:view"), async (req, res) => {
   try {
     const query = {}
+    const scope = accessScope(req.user, "project:view")
 
-    // If user is manager, only show their projects
-    if (req.user.role === "manager") {
+    // Managers only see the projects they manage
+    if (scope === "managed") {
       query.manager = req.user.id
     }
 
-    // If user is engineer, show projects they're assigned to
-    if (req.user.role === "engineer") {
+    // Engineers see the projects they're assigned to
+    if (scope === "own") {
       const userAssignments = await Assignment.find({ assignee: req.user.id }).distinct("project")
       query._id = { $in: userAssignments }
     }
@@ -29,7 +42,9 @@ router.get("/", protect, async (req, res) => {
       query.status = req.query.status
     }
 
+    // Expenses and billing rates have their own permission-checked endpoints
     const projects = await Project.find(query)
+      .select("-expenses -billingRates")
       .populate("manager", "firstName lastName email")
       .populate("teamMembers.user", "firstName lastName email department experienceLevel")
       .sort({ createdAt: -1 })
@@ -51,9 +66,10 @@ router.get("/", protect, async (req, res) => {
 // @desc    Get single project
 // @route   GET /api/projects/:id
 // @access  Private
-router.get("/:id", protect, async (req, res) => {
+router.get("/:id", protect, permit("project:view"), async (req, res) => {
   try {
     const project = await Project.findById(req.params.id)
+      .select("-expenses -billingRates")
       .populate("manager", "firstName lastName email department")
       .populate("teamMembers.user", "firstName lastName email department experienceLevel skills")
       .populate("assignments")
@@ -66,23 +82,13 @@ router.get("/:id", protect, async (req, res) => {
     }
 
     // Check if user has access to this project
-    if (req.user.role === "manager" && project.manager._id.toString() !== req.user.id) {
+    if (!can(req.user, "project:view", project)) {
       return res.status(403).json({
         success: false,
         message: "Not authorized to access this project",
       })
     }
 
-    if (req.user.role === "engineer") {
-      const isTeamMember = project.teamMembers.some((member) => member.user._id.toString() === req.user.id)
-      if (!isTeamMember) {
-        return res.status(403).json({
-          success: false,
-          message: "Not authorized to access this project",
-        })
-      }
-    }
-
     res.status(200).json({
       success: true,
       data: project,
@@ -99,12 +105,12 @@ router.get("/:id", protect, async (req, res) => {
 // @desc    Create new project
 // @route   POST /api/projects
 // @access  Private (Admin/Manager)
-router.post("/", protect, isAdminOrManager, async (req, res) => {
+router.post("/", protect, permit("project:create"), async (req, res) => {
   try {
     const { name, description, priority, deadline, budget, technologies, teamMembers } = req.body
-    console.log( name, description, priority, deadline, budget, technologies, teamMembers)
-    // Set manager to current user if not admin
-    const manager = req.user.role === "admin" ? req.body.manager || req.user.id : req.user.id
+
+    // Only users who can assign managers may create a project for someone else
+    const manager = can(req.user, "project:assign-manager") ? req.body.manager || req.user.id : req.user.id
 
     const project = await Project.create({
       name,
@@ -117,6 +123,8 @@ router.post("/", protect, isAdminOrManager, async (req, res) => {
       teamMembers: teamMembers || [],
     })
 
+    await recordAudit(req, { action: "create", entity: "Project", entityId: project._id, after: project })
+
     const populatedProject = await Project.findById(project._id)
       .populate("manager", "firstName lastName email")
       .populate("teamMembers.user", "firstName lastName email department")
@@ -148,7 +156,7 @@ router.post("/", protect, isAdminOrManager, async (req, res) => {
 // @desc    Update project
 // @route   PUT /api/projects/:id
 // @access  Private (Admin/Manager)
-router.put("/:id", protect, isAdminOrManager, async (req, res) => {
+router.put("/:id", protect, permit("project:update"), async (req, res) => {
   try {
     let project = await Project.findById(req.params.id)
 
@@ -160,17 +168,51 @@ router.put("/:id", protect, isAdminOrManager, async (req, res) => {
     }
 
     // Check if manager is trying to update project they don't manage
-    if (req.user.role === "manager" && project.manager.toString() !== req.user.id) {
+    if (!can(req.user, "project:update", project)) {
       return res.status(403).json({
         success: false,
         message: "You can only update projects you manage",
       })
     }
 
-    project = await Project.findByIdAndUpdate(req.params.id, req.body, { new: true, runValidators: true })
+    const updateFields = { ...req.body }
+
+    // Reassigning the project manager needs its own permission
+    if (!can(req.user, "project:assign-manager")) {
+      delete updateFields.manager
+    }
+
+    // Storage quota is set by admins; attachments and the workflow have their own endpoints
+    if (!can(req.user, "project:set-storage-quota")) {
+      delete updateFields.storageQuotaMB
+    }
+    delete updateFields.attachments
+    delete updateFields.workflow
+
+    // Team members go through the team member endpoints, which check capacity; milestones through their own
+    delete updateFields.teamMembers
+    delete updateFields.milestones
+
+    // Cost is computed from approved time and expenses; expenses and billing rates have their own endpoints
+    delete updateFields.budgetUsed
+    delete updateFields.costComputedAt
+    delete updateFields.expenses
+    delete updateFields.billingRates
+    delete updateFields.budgetAlertsSent
+
+    const original = snapshot(project)
+
+    project = await Project.findByIdAndUpdate(req.params.id, updateFields, { new: true, runValidators: true })
       .populate("manager", "firstName lastName email")
       .populate("teamMembers.user", "firstName lastName email department")
 
+    // A smaller budget or new thresholds can put spend over a threshold
+    if (updateFields.budget !== undefined || updateFields.budgetAlertThresholds !== undefined) {
+      await project.updateBudgetUsed()
+    }
+
+    await recordAudit(req, { action: "update", entity: "Project", entityId: project._id, before: original, after: project })
+
     res.status(200).json({
       success: true,
       message: "Project updated successfully",
@@ -198,7 +240,7 @@ router.put("/:id", protect, isAdminOrManager, async (req, res) => {
 // @desc    Delete project
 // @route   DELETE /api/projects/:id
 // @access  Private (Admin/Manager)
-router.delete("/:id", protect, isAdminOrManager, async (req, res) => {
+router.delete("/:id", protect, permit("project:delete"), async (req, res) => {
   try {
     const project = await Project.findById(req.params.id)
 
@@ -210,18 +252,29 @@ router.delete("/:id", protect, isAdminOrManager, async (req, res) => {
     }
 
     // Check if manager is trying to delete project they don't manage
-    if (req.user.role === "manager" && project.manager.toString() !== req.user.id) {
+    if (!can(req.user, "project:delete", project)) {
       return res.status(403).json({
         success: false,
         message: "You can only delete projects you manage",
       })
     }
 
-    // Delete all assignments related to this project
+    // Delete all assignments related to this project, along with every stored file
+    const assignments = await Assignment.find({ project: req.params.id }).select("attachments")
+    const deletedAssignments = assignments.map((assignment) => assignment._id)
+    await removeStoredFiles([...project.attachments, ...assignments.flatMap((assignment) => assignment.attachments)])
     await Assignment.deleteMany({ project: req.params.id })
 
     await Project.findByIdAndDelete(req.params.id)
 
+    await recordAudit(req, {
+      action: "delete",
+      entity: "Project",
+      entityId: project._id,
+      before: project,
+      metadata: { deletedAssignments },
+    })
+
     res.status(200).json({
       success: true,
       message: "Project and related assignments deleted successfully",
@@ -238,7 +291,7 @@ router.delete("/:id", protect, isAdminOrManager, async (req, res) => {
 // @desc    Add team member to project
 // @route   POST /api/projects/:id/team-members
 // @access  Private (Admin/Manager)
-router.post("/:id/team-members", protect, isAdminOrManager, async (req, res) => {
+router.post("/:id/team-members", protect, permit("project:manage-team"), async (req, res) => {
   try {
     const { userId, role, hoursPerWeek } = req.body
 
@@ -252,13 +305,29 @@ router.post("/:id/team-members", protect, isAdminOrManager, async (req, res) =>
     }
 
     // Check if manager is trying to modify project they don't manage
-    if (req.user.role === "manager" && project.manager.toString() !== req.user.id) {
+    if (!can(req.user, "project:manage-team", project)) {
       return res.status(403).json({
         success: false,
         message: "You can only modify projects you manage",
       })
     }
 
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid user id",
+      })
+    }
+
+    const user = await User.findById(userId)
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      })
+    }
+
     // Check if user is already a team member
     const existingMember = project.teamMembers.find((member) => member.user.toString() === userId)
 
@@ -269,13 +338,46 @@ router.post("/:id/team-members", protect, isAdminOrManager, async (req, res) =>
       })
     }
 
+    // Warn about or block bookings the user has no capacity for (CAPACITY_CHECK_MODE)
+    const capacityMode = capacityCheckMode()
+    const overrideCapacity = req.body.overrideCapacity === true || req.body.overrideCapacity === "true"
+    let capacity = null
+
+    if (capacityMode !== "off") {
+      capacity = await checkAllocation({
+        user: user._id,
+        project: project._id,
+        hoursPerWeek: hoursPerWeek || 40,
+        deadline: project.deadline,
+      })
+
+      if (capacity.overAllocated && capacityMode === "block" && !overrideCapacity) {
+        return res.status(409).json({
+          success: false,
+          message: "User does not have capacity for this booking. Send overrideCapacity: true to add them anyway.",
+          data: capacity,
+        })
+      }
+    }
+
     project.teamMembers.push({
-      user: userId,
+      user: user._id,
       role,
       hoursPerWeek: hoursPerWeek || 40,
     })
 
-    await project.save()
+    await project.save({ validateModifiedOnly: true })
+
+    await recordAudit(req, {
+      action: "create",
+      entity: "ProjectTeamMember",
+      entityId: project._id,
+      after: project.teamMembers[project.teamMembers.length - 1],
+      metadata:
+        capacity && capacity.overAllocated
+          ? { capacityCheck: capacityMode, overrideCapacity, overAllocatedWeeks: capacity.weeks.map((week) => week.weekStart) }
+          : undefined,
+    })
 
     const updatedProject = await Project.findById(req.params.id).populate(
       "teamMembers.user",
@@ -286,6 +388,7 @@ router.post("/:id/team-members", protect, isAdminOrManager, async (req, res) =>
       success: true,
       message: "Team member added successfully",
       data: updatedProject.teamMembers,
+      ...(capacity && capacity.overAllocated && { capacityWarning: capacity }),
     })
   } catch (error) {
     console.error("Add team member error:", error)
@@ -299,7 +402,7 @@ router.post("/:id/team-members", protect, isAdminOrManager, async (req, res) =>
 // @desc    Remove team member from project
 // @route   DELETE /api/projects/:id/team-members/:userId
 // @access  Private (Admin/Manager)
-router.delete("/:id/team-members/:userId", protect, isAdminOrManager, async (req, res) => {
+router.delete("/:id/team-members/:userId", protect, permit("project:manage-team"), async (req, res) => {
   try {
     const project = await Project.findById(req.params.id)
 
@@ -311,16 +414,22 @@ router.delete("/:id/team-members/:userId", protect, isAdminOrManager, async (req
     }
 
     // Check if manager is trying to modify project they don't manage
-    if (req.user.role === "manager" && project.manager.toString() !== req.user.id) {
+    if (!can(req.user, "project:manage-team", project)) {
       return res.status(403).json({
         success: false,
         message: "You can only modify projects you manage",
       })
     }
 
+    const removedMember = project.teamMembers.find((member) => member.user.toString() === req.params.userId)
+
     project.teamMembers = project.teamMembers.filter((member) => member.user.toString() !== req.params.userId)
 
-    await project.save()
+    await project.save({ validateModifiedOnly: true })
+
+    if (removedMember) {
+      await recordAudit(req, { action: "delete", entity: "ProjectTeamMember", entityId: project._id, before: removedMember })
+    }
 
     res.status(200).json({
       success: true,
@@ -336,56 +445,1097 @@ router.delete("/:id/team-members/:userId", protect, isAdminOrManager, async (req
   }
 })
 
-// @desc    Get project statistics
-// @route   GET /api/projects/stats/overview
+// @desc    Get project milestones
+// @route   GET /api/projects/:id/milestones
 // @access  Private
-router.get("/stats/overview", protect, async (req, res) => {
+router.get("/:id/milestones", protect, permit("project:view"), async (req, res) => {
   try {
-    const matchQuery = {}
+    const project = await Project.findById(req.params.id)
 
-    // Filter based on user role
-    if (req.user.role === "manager") {
-      matchQuery.manager = req.user._id
-    } else if (req.user.role === "engineer") {
-      const userAssignments = await Assignment.find({ assignee: req.user.id }).distinct("project")
-      matchQuery._id = { $in: userAssignments }
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: "Project not found",
+      })
     }
 
-    const stats = await Project.aggregate([
-      { $match: matchQuery },
-      {
-        $group: {
-          _id: null,
-          totalProjects: { $sum: 1 },
-          activeProjects: {
-            $sum: { $cond: [{ $eq: ["$status", "active"] }, 1, 0] },
-          },
-          completedProjects: {
-            $sum: { $cond: [{ $eq: ["$status", "completed"] }, 1, 0] },
-          },
-          totalBudget: { $sum: "$budget" },
-          totalBudgetUsed: { $sum: "$budgetUsed" },
-          averageProgress: { $avg: "$progress" },
-        },
-      },
-    ])
+    if (!can(req.user, "project:view", project)) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to access this project",
+      })
+    }
 
-    const result = stats[0] || {
-      totalProjects: 0,
-      activeProjects: 0,
-      completedProjects: 0,
-      totalBudget: 0,
-      totalBudgetUsed: 0,
-      averageProgress: 0,
+    // Count linked assignments per milestone
+    const assignments = await Assignment.find({ project: project._id, milestone: { $exists: true } }).select("milestone")
+
+    let milestones = project.milestones.map((milestone) => ({
+      ...milestone.toJSON(),
+      assignmentCount: assignments.filter((a) => a.milestone.equals(milestone._id)).length,
+    }))
+
+    // Only overdue milestones if requested
+    if (req.query.overdue === "true") {
+      milestones = milestones.filter((milestone) => milestone.isOverdue)
+    }
+
+    res.status(200).json({
+      success: true,
+      count: milestones.length,
+      data: milestones,
+    })
+  } catch (error) {
+    console.error("Get milestones error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Add milestone to project
+// @route   POST /api/projects/:id/milestones
+// @access  Private (Admin/Manager)
+router.post("/:id/milestones", protect, permit("project:update"), async (req, res) => {
+  try {
+    const { name, description, dueDate } = req.body
+
+    const project = await Project.findById(req.params.id)
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: "Project not found",
+      })
+    }
+
+    if (!can(req.user, "project:update", project)) {
+      return res.status(403).json({
+        success: false,
+        message: "You can only modify projects you manage",
+      })
+    }
+
+    project.milestones.push({ name, description, dueDate })
+    await project.save({ validateModifiedOnly: true })
+
+    const milestone = project.milestones[project.milestones.length - 1]
+
+    await recordAudit(req, { action: "create", entity: "ProjectMilestone", entityId: project._id, after: milestone })
+
+    res.status(201).json({
+      success: true,
+      message: "Milestone added successfully",
+      data: milestone,
+    })
+  } catch (error) {
+    console.error("Add milestone error:", error)
+
+    if (error.name === "ValidationError") {
+      const messages = Object.values(error.errors).map((err) => err.message)
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        errors: messages,
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Reorder project milestones
+// @route   PUT /api/projects/:id/milestones/reorder
+// @access  Private (Admin/Manager)
+router.put("/:id/milestones/reorder", protect, permit("project:update"), async (req, res) => {
+  try {
+    const { order } = req.body
+
+    const project = await Project.findById(req.params.id)
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: "Project not found",
+      })
+    }
+
+    if (!can(req.user, "project:update", project)) {
+      return res.status(403).json({
+        success: false,
+        message: "You can only modify projects you manage",
+      })
+    }
+
+    // The new order must list every milestone exactly once
+    const currentIds = project.milestones.map((milestone) => milestone._id.toString())
+    const isPermutation =
+      Array.isArray(order) &&
+      order.length === currentIds.length &&
+      new Set(order.map(String)).size === order.length &&
+      order.every((id) => currentIds.includes(String(id)))
+
+    if (!isPermutation) {
+      return res.status(400).json({
+        success: false,
+        message: "Order must contain every milestone id exactly once",
+      })
+    }
+
+    project.milestones = order.map((id) => project.milestones.id(id))
+    await project.save({ validateModifiedOnly: true })
+
+    await recordAudit(req, {
+      action: "update",
+      entity: "ProjectMilestone",
+      entityId: project._id,
+      before: { order: currentIds },
+      after: { order: order.map(String) },
+    })
+
+    res.status(200).json({
+      success: true,
+      message: "Milestones reordered successfully",
+      data: project.milestones,
+    })
+  } catch (error) {
+    console.error("Reorder milestones error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Update milestone
+// @route   PUT /api/projects/:id/milestones/:milestoneId
+// @access  Private (Admin/Manager)
+router.put("/:id/milestones/:milestoneId", protect, permit("project:update"), async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id)
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: "Project not found",
+      })
+    }
+
+    if (!can(req.user, "project:update", project)) {
+      return res.status(403).json({
+        success: false,
+        message: "You can only modify projects you manage",
+      })
+    }
+
+    const milestone = project.milestones.id(req.params.milestoneId)
+
+    if (!milestone) {
+      return res.status(404).json({
+        success: false,
+        message: "Milestone not found",
+      })
+    }
+
+    const original = snapshot(milestone)
+
+    const allowedFields = ["name", "description", "dueDate", "status"]
+    allowedFields.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        milestone[field] = req.body[field]
+      }
+    })
+
+    // Keep completedAt in step with the status
+    if (milestone.isModified("status")) {
+      milestone.completedAt = milestone.status === "completed" ? new Date() : undefined
+    }
+
+    await project.save({ validateModifiedOnly: true })
+
+    await recordAudit(req, {
+      action: "update",
+      entity: "ProjectMilestone",
+      entityId: project._id,
+      before: original,
+      after: milestone,
+    })
+
+    res.status(200).json({
+      success: true,
+      message: "Milestone updated successfully",
+      data: milestone,
+    })
+  } catch (error) {
+    console.error("Update milestone error:", error)
+
+    if (error.name === "ValidationError") {
+      const messages = Object.values(error.errors).map((err) => err.message)
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        errors: messages,
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Mark milestone as completed
+// @route   POST /api/projects/:id/milestones/:milestoneId/complete
+// @access  Private (Admin/Manager)
+router.post("/:id/milestones/:milestoneId/complete", protect, permit("project:update"), async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id)
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: "Project not found",
+      })
+    }
+
+    if (!can(req.user, "project:update", project)) {
+      return res.status(403).json({
+        success: false,
+        message: "You can only modify projects you manage",
+      })
     }
 
-        const utilization =
-      result.totalBudget > 0
-        ? ((result.totalBudgetUsed / result.totalBudget) * 100).toFixed(2)
-        : 0
+    const milestone = project.milestones.id(req.params.milestoneId)
+
+    if (!milestone) {
+      return res.status(404).json({
+        success: false,
+        message: "Milestone not found",
+      })
+    }
 
-        console.log("Message---"   ,utilization)
+    if (milestone.status === "completed") {
+      return res.status(400).json({
+        success: false,
+        message: "Milestone is already completed",
+      })
+    }
+
+    const original = snapshot(milestone)
+
+    milestone.status = "completed"
+    milestone.completedAt = new Date()
+    await project.save({ validateModifiedOnly: true })
+
+    await recordAudit(req, {
+      action: "update",
+      entity: "ProjectMilestone",
+      entityId: project._id,
+      before: original,
+      after: milestone,
+    })
+
+    res.status(200).json({
+      success: true,
+      message: "Milestone completed successfully",
+      data: milestone,
+    })
+  } catch (error) {
+    console.error("Complete milestone error:", error)
+
+    if (error.name === "ValidationError") {
+      const messages = Object.values(error.errors).map((err) => err.message)
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        errors: messages,
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Delete milestone
+// @route   DELETE /api/projects/:id/milestones/:milestoneId
+// @access  Private (Admin/Manager)
+router.delete("/:id/milestones/:milestoneId", protect, permit("project:update"), async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id)
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: "Project not found",
+      })
+    }
+
+    if (!can(req.user, "project:update", project)) {
+      return res.status(403).json({
+        success: false,
+        message: "You can only modify projects you manage",
+      })
+    }
+
+    const milestone = project.milestones.id(req.params.milestoneId)
+
+    if (!milestone) {
+      return res.status(404).json({
+        success: false,
+        message: "Milestone not found",
+      })
+    }
+
+    project.milestones.pull(milestone._id)
+    await project.save({ validateModifiedOnly: true })
+
+    // Linked assignments stay on the project without a milestone
+    const unlinkedAssignments = await Assignment.find({ project: project._id, milestone: milestone._id }).distinct("_id")
+    await Assignment.updateMany({ _id: { $in: unlinkedAssignments } }, { $unset: { milestone: 1 } })
+
+    await recordAudit(req, {
+      action: "delete",
+      entity: "ProjectMilestone",
+      entityId: project._id,
+      before: milestone,
+      metadata: { unlinkedAssignments },
+    })
+
+    res.status(200).json({
+      success: true,
+      message: "Milestone deleted successfully",
+    })
+  } catch (error) {
+    console.error("Delete milestone error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Get project cost breakdown per engineer, month and expense category
+// @route   GET /api/projects/:id/costs
+// @access  Private (Admin/Manager)
+router.get("/:id/costs", protect, permit("project:view-costs"), async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id)
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: "Project not found",
+      })
+    }
+
+    if (!can(req.user, "project:view-costs", project)) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to view the costs of this project",
+      })
+    }
+
+    const breakdown = await costBreakdown(project)
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...breakdown,
+        costComputedAt: project.costComputedAt,
+      },
+    })
+  } catch (error) {
+    console.error("Get project costs error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Get project burn rate and the date the budget runs out at that pace
+// @route   GET /api/projects/:id/budget-forecast?days=
+// @access  Private (Admin/Manager)
+router.get("/:id/budget-forecast", protect, permit("project:view-costs"), async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id)
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: "Project not found",
+      })
+    }
+
+    if (!can(req.user, "project:view-costs", project)) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to view the costs of this project",
+      })
+    }
+
+    const days = Number.parseInt(req.query.days)
+    const forecast = await budgetForecast(project, days > 0 ? { days } : {})
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...forecast,
+        alertThresholds: project.budgetAlertThresholds,
+        alertsSent: project.budgetAlertsSent,
+      },
+    })
+  } catch (error) {
+    console.error("Get budget forecast error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Get project expenses
+// @route   GET /api/projects/:id/expenses
+// @access  Private (Admin/Manager)
+router.get("/:id/expenses", protect, permit("project:view-costs"), async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id).populate("expenses.recordedBy", "firstName lastName email")
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: "Project not found",
+      })
+    }
+
+    if (!can(req.user, "project:view-costs", project)) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to view the costs of this project",
+      })
+    }
+
+    let expenses = project.expenses
+
+    if (req.query.category) {
+      expenses = expenses.filter((expense) => expense.category === req.query.category)
+    }
+
+    res.status(200).json({
+      success: true,
+      count: expenses.length,
+      data: [...expenses].sort((a, b) => b.date - a.date),
+    })
+  } catch (error) {
+    console.error("Get expenses error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Add expense to project
+// @route   POST /api/projects/:id/expenses
+// @access  Private (Admin/Manager)
+router.post("/:id/expenses", protect, permit("project:manage-expenses"), async (req, res) => {
+  try {
+    const { description, amount, category, date } = req.body
+
+    const project = await Project.findById(req.params.id)
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: "Project not found",
+      })
+    }
+
+    if (!can(req.user, "project:manage-expenses", project)) {
+      return res.status(403).json({
+        success: false,
+        message: "You can only record expenses on projects you manage",
+      })
+    }
+
+    project.expenses.push({ description, amount, category, date, recordedBy: req.user._id })
+    await project.updateBudgetUsed()
+
+    const expense = project.expenses[project.expenses.length - 1]
+
+    await recordAudit(req, { action: "create", entity: "ProjectExpense", entityId: project._id, after: expense })
+
+    res.status(201).json({
+      success: true,
+      message: "Expense added successfully",
+      data: expense,
+      budgetUsed: project.budgetUsed,
+    })
+  } catch (error) {
+    console.error("Add expense error:", error)
+
+    if (error.name === "ValidationError") {
+      const messages = Object.values(error.errors).map((err) => err.message)
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        errors: messages,
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Update project expense
+// @route   PUT /api/projects/:id/expenses/:expenseId
+// @access  Private (Admin/Manager)
+router.put("/:id/expenses/:expenseId", protect, permit("project:manage-expenses"), async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id)
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: "Project not found",
+      })
+    }
+
+    if (!can(req.user, "project:manage-expenses", project)) {
+      return res.status(403).json({
+        success: false,
+        message: "You can only record expenses on projects you manage",
+      })
+    }
+
+    const expense = project.expenses.id(req.params.expenseId)
+
+    if (!expense) {
+      return res.status(404).json({
+        success: false,
+        message: "Expense not found",
+      })
+    }
+
+    const original = snapshot(expense)
+
+    const allowedFields = ["description", "amount", "category", "date"]
+    allowedFields.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        expense[field] = req.body[field]
+      }
+    })
+
+    await project.updateBudgetUsed()
+
+    await recordAudit(req, {
+      action: "update",
+      entity: "ProjectExpense",
+      entityId: project._id,
+      before: original,
+      after: expense,
+    })
+
+    res.status(200).json({
+      success: true,
+      message: "Expense updated successfully",
+      data: expense,
+      budgetUsed: project.budgetUsed,
+    })
+  } catch (error) {
+    console.error("Update expense error:", error)
+
+    if (error.name === "ValidationError") {
+      const messages = Object.values(error.errors).map((err) => err.message)
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        errors: messages,
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Delete project expense
+// @route   DELETE /api/projects/:id/expenses/:expenseId
+// @access  Private (Admin/Manager)
+router.delete("/:id/expenses/:expenseId", protect, permit("project:manage-expenses"), async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id)
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: "Project not found",
+      })
+    }
+
+    if (!can(req.user, "project:manage-expenses", project)) {
+      return res.status(403).json({
+        success: false,
+        message: "You can only record expenses on projects you manage",
+      })
+    }
+
+    const expense = project.expenses.id(req.params.expenseId)
+
+    if (!expense) {
+      return res.status(404).json({
+        success: false,
+        message: "Expense not found",
+      })
+    }
+
+    project.expenses.pull(expense._id)
+    await project.updateBudgetUsed()
+
+    await recordAudit(req, { action: "delete", entity: "ProjectExpense", entityId: project._id, before: expense })
+
+    res.status(200).json({
+      success: true,
+      message: "Expense deleted successfully",
+      budgetUsed: project.budgetUsed,
+    })
+  } catch (error) {
+    console.error("Delete expense error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Get project billing rates
+// @route   GET /api/projects/:id/billing-rates
+// @access  Private (Admin/Manager)
+router.get("/:id/billing-rates", protect, permit("project:view-costs"), async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id)
+      .select("name manager billingRates")
+      .populate("billingRates.user", "firstName lastName email")
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: "Project not found",
+      })
+    }
+
+    if (!can(req.user, "project:view-costs", project)) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to view the costs of this project",
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      count: project.billingRates.length,
+      data: project.billingRates,
+    })
+  } catch (error) {
+    console.error("Get billing rates error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Replace project billing rates with [{ user, rate, effectiveFrom }] (no user = project default)
+// @route   PUT /api/projects/:id/billing-rates
+// @access  Private (Admin)
+router.put("/:id/billing-rates", protect, permit("project:manage-billing-rates"), async (req, res) => {
+  try {
+    const { billingRates } = req.body
+
+    if (!Array.isArray(billingRates)) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide billingRates as a list of { user, rate, effectiveFrom }",
+      })
+    }
+
+    const project = await Project.findById(req.params.id)
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: "Project not found",
+      })
+    }
+
+    if (!can(req.user, "project:manage-billing-rates", project)) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to set billing rates on this project",
+      })
+    }
+
+    const original = snapshot(project)
+
+    project.billingRates = billingRates.map(({ user, rate, effectiveFrom }) => ({ user, rate, effectiveFrom }))
+    await project.save({ validateModifiedOnly: true })
+
+    await recordAudit(req, {
+      action: "update",
+      entity: "Project",
+      entityId: project._id,
+      before: { billingRates: original.billingRates },
+      after: { billingRates: project.billingRates },
+    })
+
+    res.status(200).json({
+      success: true,
+      message: "Billing rates updated successfully",
+      data: project.billingRates,
+    })
+  } catch (error) {
+    console.error("Update billing rates error:", error)
+
+    if (error.name === "ValidationError") {
+      const messages = Object.values(error.errors).map((err) => err.message)
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        errors: messages,
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Get project assignment workflow
+// @route   GET /api/projects/:id/workflow
+// @access  Private
+router.get("/:id/workflow", protect, permit("project:view"), async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id).select("manager teamMembers workflow")
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: "Project not found",
+      })
+    }
+
+    if (!can(req.user, "project:view", project)) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to access this project",
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        custom: Boolean(project.workflow),
+        transitions: project.workflow || DEFAULT_TRANSITIONS,
+      },
+    })
+  } catch (error) {
+    console.error("Get workflow error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Customize project assignment workflow (send transitions: null to restore the default)
+// @route   PUT /api/projects/:id/workflow
+// @access  Private (Admin)
+router.put("/:id/workflow", protect, permit("project:configure-workflow"), async (req, res) => {
+  try {
+    const { transitions } = req.body
+
+    const project = await Project.findById(req.params.id)
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: "Project not found",
+      })
+    }
+
+    if (transitions !== null) {
+      const errors = validateTransitions(transitions)
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid workflow",
+          errors,
+        })
+      }
+    }
+
+    const original = { workflow: project.workflow || null }
+
+    project.workflow = transitions || undefined
+    project.markModified("workflow")
+    await project.save({ validateModifiedOnly: true })
+
+    await recordAudit(req, {
+      action: "update",
+      entity: "ProjectWorkflow",
+      entityId: project._id,
+      before: original,
+      after: { workflow: project.workflow || null },
+    })
+
+    res.status(200).json({
+      success: true,
+      message: transitions ? "Workflow updated successfully" : "Workflow reset to default",
+      data: {
+        custom: Boolean(project.workflow),
+        transitions: project.workflow || DEFAULT_TRANSITIONS,
+      },
+    })
+  } catch (error) {
+    console.error("Update workflow error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Upload project attachment
+// @route   POST /api/projects/:id/attachments
+// @access  Private (Admin/Manager)
+router.post("/:id/attachments", protect, permit("project:upload-file"), uploadSingle("file"), async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id)
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: "Project not found",
+      })
+    }
+
+    if (!can(req.user, "project:upload-file", project)) {
+      return res.status(403).json({
+        success: false,
+        message: "You can only upload files to projects you manage",
+      })
+    }
+
+    const used = await storageUsed(project)
+    const quota = storageQuota(project)
+
+    if (used + req.file.size > quota) {
+      return res.status(413).json({
+        success: false,
+        message: "Project storage quota exceeded",
+        storage: { used, quota },
+      })
+    }
+
+    const key = await saveFile(`projects/${project._id}`, req.file)
+
+    project.attachments.push({
+      filename: path.basename(key),
+      originalName: req.file.originalname,
+      path: key,
+      size: req.file.size,
+      mimeType: req.file.mimetype,
+      uploadedBy: req.user.id,
+    })
+
+    try {
+      await project.save({ validateModifiedOnly: true })
+    } catch (error) {
+      // Don't leave the stored file behind without an attachment pointing at it. Post-save hooks can
+      // fail after the attachment was written, so check what was stored.
+      if (!(await Project.exists({ _id: project._id, "attachments.path": key }))) {
+        await removeStoredFiles([{ path: key }])
+      }
+      throw error
+    }
+
+    const attachment = project.attachments[project.attachments.length - 1]
+
+    await recordAudit(req, { action: "create", entity: "ProjectAttachment", entityId: project._id, after: attachment })
+
+    res.status(201).json({
+      success: true,
+      message: "File uploaded successfully",
+      data: attachment,
+      storage: { used: used + req.file.size, quota },
+    })
+  } catch (error) {
+    console.error("Upload project attachment error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Download project attachment
+// @route   GET /api/projects/:id/attachments/:attachmentId
+// @access  Private
+router.get("/:id/attachments/:attachmentId", protect, permit("project:view"), async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id)
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: "Project not found",
+      })
+    }
+
+    if (!can(req.user, "project:view", project)) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to access this project",
+      })
+    }
+
+    const attachment = project.attachments.id(req.params.attachmentId)
+
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        message: "Attachment not found",
+      })
+    }
+
+    await sendAttachment(res, attachment)
+  } catch (error) {
+    console.error("Download project attachment error:", error)
+
+    if (error.code === "ENOENT") {
+      return res.status(404).json({
+        success: false,
+        message: "File not found in storage",
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Delete project attachment
+// @route   DELETE /api/projects/:id/attachments/:attachmentId
+// @access  Private (Admin/Manager)
+router.delete("/:id/attachments/:attachmentId", protect, permit("project:upload-file"), async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id)
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: "Project not found",
+      })
+    }
+
+    if (!can(req.user, "project:upload-file", project)) {
+      return res.status(403).json({
+        success: false,
+        message: "You can only modify projects you manage",
+      })
+    }
+
+    const attachment = project.attachments.id(req.params.attachmentId)
+
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        message: "Attachment not found",
+      })
+    }
+
+    project.attachments.pull(attachment._id)
+    await project.save({ validateModifiedOnly: true })
+    await removeStoredFiles([attachment])
+
+    await recordAudit(req, { action: "delete", entity: "ProjectAttachment", entityId: project._id, before: attachment })
+
+    res.status(200).json({
+      success: true,
+      message: "Attachment deleted successfully",
+    })
+  } catch (error) {
+    console.error("Delete project attachment error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Get project statistics
+// @route   GET /api/projects/stats/overview
+// @access  Private
+router.get("/stats/overview", protect, permit("project:view"), async (req, res) => {
+  try {
+    const matchQuery = {}
+    const scope = accessScope(req.user, "project:view")
+
+    // Filter based on the user's access scope
+    if (scope === "managed") {
+      matchQuery.manager = req.user._id
+    } else if (scope === "own") {
+      const userAssignments = await Assignment.find({ assignee: req.user.id }).distinct("project")
+      matchQuery._id = { $in: userAssignments }
+    }
+
+    const stats = await Project.aggregate([
+      { $match: matchQuery },
+      {
+        $group: {
+          _id: null,
+          totalProjects: { $sum: 1 },
+          activeProjects: {
+            $sum: { $cond: [{ $eq: ["$status", "active"] }, 1, 0] },
+          },
+          completedProjects: {
+            $sum: { $cond: [{ $eq: ["$status", "completed"] }, 1, 0] },
+          },
+          totalBudget: { $sum: "$budget" },
+          totalBudgetUsed: { $sum: "$budgetUsed" },
+          averageProgress: { $avg: "$progress" },
+        },
+      },
+    ])
+
+    const result = stats[0] || {
+      totalProjects: 0,
+      activeProjects: 0,
+      completedProjects: 0,
+      totalBudget: 0,
+      totalBudgetUsed: 0,
+      averageProgress: 0,
+    }
 
+    const utilization =
+      result.totalBudget > 0 ? ((result.totalBudgetUsed / result.totalBudget) * 100).toFixed(2) : 0
 
     res.status(200).json({
       success: true,
@@ -0,0 +1,291 @@
+const express = require("express")
+const mongoose = require("mongoose")
+const Skill = require("../models/Skill")
+const User = require("../models/User")
+const { protect, permit } = require("../middleware/auth")
+const { recordAudit, snapshot } = require("../utils/audit")
+const { assertNamesFree } = require("../utils/skills")
+
+const router = express.Router()
+
+const { skillKey } = Skill
+
+// @desc    Get skill catalogue
+// @route   GET /api/skills?category=&search=
+// @access  Private
+router.get("/", protect, permit("skill:view"), async (req, res) => {
+  try {
+    const query = {}
+
+    if (req.query.category) {
+      query.category = req.query.category
+    }
+
+    // Search names and aliases
+    if (req.query.search) {
+      const searchRegex = new RegExp(req.query.search.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "i")
+      query.$or = [{ name: searchRegex }, { aliases: searchRegex }]
+    }
+
+    const skills = await Skill.find(query).sort({ category: 1, name: 1 })
+
+    // Number of active users holding each skill
+    const holders = await User.aggregate([
+      { $match: { isActive: true } },
+      { $unwind: "$skillProficiencies" },
+      { $group: { _id: "$skillProficiencies.skill", count: { $sum: 1 } } },
+    ])
+
+    res.status(200).json({
+      success: true,
+      count: skills.length,
+      data: skills.map((skill) => ({
+        ...skill.toObject(),
+        userCount: (holders.find((holder) => holder._id.equals(skill._id)) || { count: 0 }).count,
+      })),
+    })
+  } catch (error) {
+    console.error("Get skills error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Add skill to the catalogue
+// @route   POST /api/skills
+// @access  Private (Admin)
+router.post("/", protect, permit("skill:manage"), async (req, res) => {
+  try {
+    const { name, aliases, category, description } = req.body
+
+    const skill = new Skill({ name, aliases: aliases || [], category, description })
+    await assertNamesFree(skill)
+    await skill.save()
+
+    await recordAudit(req, { action: "create", entity: "Skill", entityId: skill._id, after: skill })
+
+    res.status(201).json({
+      success: true,
+      message: "Skill created successfully",
+      data: skill,
+    })
+  } catch (error) {
+    console.error("Create skill error:", error)
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      })
+    }
+
+    if (error.name === "ValidationError") {
+      const messages = Object.values(error.errors).map((err) => err.message)
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        errors: messages,
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Update skill (renaming updates every user holding it)
+// @route   PUT /api/skills/:id
+// @access  Private (Admin)
+router.put("/:id", protect, permit("skill:manage"), async (req, res) => {
+  try {
+    const skill = await Skill.findById(req.params.id)
+
+    if (!skill) {
+      return res.status(404).json({
+        success: false,
+        message: "Skill not found",
+      })
+    }
+
+    const original = snapshot(skill)
+    const previousName = skill.name
+    const { name, aliases, category, description } = req.body
+
+    if (name !== undefined) skill.name = name
+    if (aliases !== undefined) skill.aliases = aliases
+    if (category !== undefined) skill.category = category
+    if (description !== undefined) skill.description = description
+
+    await assertNamesFree(skill)
+    await skill.save()
+
+    if (skill.name !== previousName) {
+      await User.updateMany({ skills: previousName }, { $set: { "skills.$": skill.name } })
+    }
+
+    await recordAudit(req, { action: "update", entity: "Skill", entityId: skill._id, before: original, after: skill })
+
+    res.status(200).json({
+      success: true,
+      message: "Skill updated successfully",
+      data: skill,
+    })
+  } catch (error) {
+    console.error("Update skill error:", error)
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      })
+    }
+
+    if (error.name === "ValidationError") {
+      const messages = Object.values(error.errors).map((err) => err.message)
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        errors: messages,
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Merge a duplicate skill into another; its name and aliases become aliases of the target
+// @route   POST /api/skills/:id/merge
+// @access  Private (Admin)
+router.post("/:id/merge", protect, permit("skill:manage"), async (req, res) => {
+  try {
+    const { into } = req.body
+
+    if (!into || into === req.params.id) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide a different skill to merge into",
+      })
+    }
+
+    if (!mongoose.isValidObjectId(into) || !mongoose.isValidObjectId(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid skill id",
+      })
+    }
+
+    const [source, target] = await Promise.all([Skill.findById(req.params.id), Skill.findById(into)])
+
+    if (!source || !target) {
+      return res.status(404).json({
+        success: false,
+        message: "Skill not found",
+      })
+    }
+
+    const original = snapshot(target)
+
+    // The source is deleted last, so a failure on the way leaves users pointing at a skill that exists
+    target.aliases = [...target.aliases, source.name, ...source.aliases]
+    await target.save()
+
+    // Move proficiencies over, keeping the higher level when a user had both
+    const users = await User.find({ "skillProficiencies.skill": source._id })
+
+    for (const user of users) {
+      const from = user.skillProficiencies.find((p) => p.skill.equals(source._id))
+      const existing = user.skillProficiencies.find((p) => p.skill.equals(target._id))
+
+      if (existing) {
+        if (from.level > existing.level) {
+          existing.set({ level: from.level, endorsedBy: from.endorsedBy, endorsedAt: from.endorsedAt })
+        }
+        if (from.lastUsedAt && (!existing.lastUsedAt || from.lastUsedAt > existing.lastUsedAt)) {
+          existing.lastUsedAt = from.lastUsedAt
+        }
+        user.skillProficiencies.pull(from._id)
+      } else {
+        from.skill = target._id
+      }
+
+      // Store the skill under the target's name; the source name is now one of its aliases
+      const sourceKeys = [source.key, ...source.aliases]
+      user.skills = [
+        ...new Set(user.skills.map((name) => (sourceKeys.includes(skillKey(name)) ? target.name : name))),
+      ]
+      await user.save({ validateModifiedOnly: true })
+    }
+
+    await source.deleteOne()
+
+    await recordAudit(req, {
+      action: "update",
+      entity: "Skill",
+      entityId: target._id,
+      before: original,
+      after: target,
+      metadata: { mergedSkill: source._id, mergedName: source.name, usersUpdated: users.length },
+    })
+
+    res.status(200).json({
+      success: true,
+      message: `Merged ${source.name} into ${target.name}`,
+      data: target,
+    })
+  } catch (error) {
+    console.error("Merge skill error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Delete an unused skill
+// @route   DELETE /api/skills/:id
+// @access  Private (Admin)
+router.delete("/:id", protect, permit("skill:manage"), async (req, res) => {
+  try {
+    const skill = await Skill.findById(req.params.id)
+
+    if (!skill) {
+      return res.status(404).json({
+        success: false,
+        message: "Skill not found",
+      })
+    }
+
+    const holders = await User.countDocuments({ "skillProficiencies.skill": skill._id })
+
+    if (holders > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `${holders} user(s) have this skill; merge it into another skill instead`,
+      })
+    }
+
+    await skill.deleteOne()
+
+    await recordAudit(req, { action: "delete", entity: "Skill", entityId: skill._id, before: skill })
+
+    res.status(200).json({
+      success: true,
+      message: "Skill deleted successfully",
+    })
+  } catch (error) {
+    console.error("Delete skill error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+module.exports = router
@@ -0,0 +1,388 @@
+const express = require("express")
+const Assignment = require("../models/Assignment")
+const Project = require("../models/Project")
+const TimeOff = require("../models/TimeOff")
+const { protect, permit } = require("../middleware/auth")
+const { accessScope } = require("../utils/policy")
+const { recordAudit, snapshot } = require("../utils/audit")
+const { DAY_MS, dayKey } = require("../utils/timesheets")
+
+const router = express.Router()
+
+// Users whose time off the reviewer may review: null means everyone
+const reviewableUserIds = async (reviewer) => {
+  if (accessScope(reviewer, "time-off:review") === "all") return null
+
+  const managedProjects = await Project.find({ manager: reviewer._id }).select("teamMembers")
+  const assignees = await Assignment.find({ project: { $in: managedProjects.map((p) => p._id) } }).distinct("assignee")
+  const members = managedProjects.flatMap((project) => project.teamMembers.map((member) => member.user))
+  return [...new Set([...assignees, ...members].map((id) => id.toString()))]
+}
+
+const canReviewUser = async (reviewer, userId) => {
+  const userIds = await reviewableUserIds(reviewer)
+  return userIds === null || userIds.includes(userId.toString())
+}
+
+// @desc    Get my time-off requests
+// @route   GET /api/time-off/me
+// @access  Private
+router.get("/me", protect, permit("time-off:request"), async (req, res) => {
+  try {
+    const query = { user: req.user._id }
+
+    if (req.query.status) {
+      query.status = req.query.status
+    }
+
+    const requests = await TimeOff.find(query).populate("reviewedBy", "firstName lastName email").sort({ startDate: -1 })
+
+    res.status(200).json({
+      success: true,
+      count: requests.length,
+      data: requests,
+    })
+  } catch (error) {
+    console.error("Get my time off error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Request time off (startDate and endDate are inclusive days)
+// @route   POST /api/time-off
+// @access  Private
+router.post("/", protect, permit("time-off:request"), async (req, res) => {
+  try {
+    const { startDate, endDate, type, note } = req.body
+
+    const start = new Date(startDate)
+    const end = new Date(endDate || startDate)
+
+    if (!startDate || Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide a valid startDate and endDate",
+      })
+    }
+
+    const period = {
+      startDate: new Date(`${dayKey(start)}T00:00:00.000Z`),
+      endDate: new Date(new Date(`${dayKey(end)}T00:00:00.000Z`).getTime() + DAY_MS),
+    }
+
+    const overlapping = await TimeOff.findOne({
+      user: req.user._id,
+      status: { $in: ["pending", "approved"] },
+      startDate: { $lt: period.endDate },
+      endDate: { $gt: period.startDate },
+    })
+
+    if (overlapping) {
+      return res.status(409).json({
+        success: false,
+        message: "You already have time off requested for part of this period",
+        data: overlapping,
+      })
+    }
+
+    const request = await TimeOff.create({
+      user: req.user._id,
+      ...period,
+      type,
+      note,
+    })
+
+    await recordAudit(req, { action: "create", entity: "TimeOff", entityId: request._id, after: request })
+
+    res.status(201).json({
+      success: true,
+      message: "Time off requested",
+      data: request,
+    })
+  } catch (error) {
+    console.error("Request time off error:", error)
+
+    if (error.name === "ValidationError") {
+      const messages = Object.values(error.errors).map((err) => err.message)
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        errors: messages,
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Get time off of the people I review (calendar view)
+// @route   GET /api/time-off?status=&user=&from=&to=
+// @access  Private (Admin/Manager)
+router.get("/", protect, permit("time-off:review"), async (req, res) => {
+  try {
+    const query = {}
+
+    const userIds = await reviewableUserIds(req.user)
+    if (userIds !== null) {
+      query.user = { $in: userIds }
+    }
+
+    if (req.query.user) {
+      if (userIds !== null && !userIds.includes(req.query.user)) {
+        return res.status(403).json({
+          success: false,
+          message: "Not authorized to view this user's time off",
+        })
+      }
+      query.user = req.query.user
+    }
+
+    if (req.query.status) {
+      query.status = req.query.status
+    }
+
+    // Requests overlapping the [from, to] range
+    if (req.query.from) {
+      query.endDate = { $gt: new Date(req.query.from) }
+    }
+
+    if (req.query.to) {
+      query.startDate = { $lte: new Date(req.query.to) }
+    }
+
+    const requests = await TimeOff.find(query)
+      .populate("user", "firstName lastName email department location")
+      .populate("reviewedBy", "firstName lastName email")
+      .sort({ startDate: 1 })
+
+    res.status(200).json({
+      success: true,
+      count: requests.length,
+      data: requests,
+    })
+  } catch (error) {
+    console.error("Get time off error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Cancel my time-off request (pending, or approved and not yet started)
+// @route   DELETE /api/time-off/:id
+// @access  Private
+router.delete("/:id", protect, permit("time-off:request"), async (req, res) => {
+  try {
+    const request = await TimeOff.findById(req.params.id)
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: "Time-off request not found",
+      })
+    }
+
+    if (request.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: "You can only cancel your own time off",
+      })
+    }
+
+    const started = request.startDate <= new Date()
+    if (request.status === "rejected" || request.status === "cancelled" || (request.status === "approved" && started)) {
+      return res.status(400).json({
+        success: false,
+        message: `This time off is ${request.status === "approved" ? "already under way" : request.status} and cannot be cancelled`,
+      })
+    }
+
+    const original = snapshot(request)
+    request.status = "cancelled"
+    await request.save()
+
+    await recordAudit(req, {
+      action: "update",
+      entity: "TimeOff",
+      entityId: request._id,
+      before: original,
+      after: request,
+    })
+
+    res.status(200).json({
+      success: true,
+      message: "Time off cancelled",
+      data: request,
+    })
+  } catch (error) {
+    console.error("Cancel time off error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Approve a time-off request
+// @route   POST /api/time-off/:id/approve
+// @access  Private (Admin/Manager)
+router.post("/:id/approve", protect, permit("time-off:review"), async (req, res) => {
+  try {
+    const request = await TimeOff.findById(req.params.id)
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: "Time-off request not found",
+      })
+    }
+
+    if (request.user.toString() === req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: "You cannot review your own time off",
+      })
+    }
+
+    if (!(await canReviewUser(req.user, request.user))) {
+      return res.status(403).json({
+        success: false,
+        message: "You can only review time off of people on your projects",
+      })
+    }
+
+    if (request.status !== "pending") {
+      return res.status(400).json({
+        success: false,
+        message: `Time-off request is ${request.status}, not awaiting review`,
+      })
+    }
+
+    const original = snapshot(request)
+    request.status = "approved"
+    request.reviewedBy = req.user.id
+    request.reviewedAt = new Date()
+    request.reviewComment = req.body.comment
+    await request.save()
+
+    await recordAudit(req, {
+      action: "update",
+      entity: "TimeOff",
+      entityId: request._id,
+      before: original,
+      after: request,
+    })
+
+    res.status(200).json({
+      success: true,
+      message: "Time off approved",
+      data: request,
+    })
+  } catch (error) {
+    console.error("Approve time off error:", error)
+
+    if (error.name === "ValidationError") {
+      const messages = Object.values(error.errors).map((err) => err.message)
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        errors: messages,
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Reject a time-off request (comment required)
+// @route   POST /api/time-off/:id/reject
+// @access  Private (Admin/Manager)
+router.post("/:id/reject", protect, permit("time-off:review"), async (req, res) => {
+  try {
+    const request = await TimeOff.findById(req.params.id)
+
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: "Time-off request not found",
+      })
+    }
+
+    if (request.user.toString() === req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: "You cannot review your own time off",
+      })
+    }
+
+    if (!(await canReviewUser(req.user, request.user))) {
+      return res.status(403).json({
+        success: false,
+        message: "You can only review time off of people on your projects",
+      })
+    }
+
+    if (request.status !== "pending") {
+      return res.status(400).json({
+        success: false,
+        message: `Time-off request is ${request.status}, not awaiting review`,
+      })
+    }
+
+    if ((!req.body.comment || req.body.comment.trim().length === 0)) {
+      return res.status(400).json({
+        success: false,
+        message: "A comment is required when rejecting time off",
+      })
+    }
+
+    const original = snapshot(request)
+    request.status = "rejected"
+    request.reviewedBy = req.user.id
+    request.reviewedAt = new Date()
+    request.reviewComment = req.body.comment
+    await request.save()
+
+    await recordAudit(req, {
+      action: "update",
+      entity: "TimeOff",
+      entityId: request._id,
+      before: original,
+      after: request,
+    })
+
+    res.status(200).json({
+      success: true,
+      message: "Time off rejected",
+      data: request,
+    })
+  } catch (error) {
+    console.error("Reject time off error:", error)
+
+    if (error.name === "ValidationError") {
+      const messages = Object.values(error.errors).map((err) => err.message)
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        errors: messages,
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+module.exports = router
@@ -0,0 +1,359 @@
+const express = require("express")
+const Assignment = require("../models/Assignment")
+const Project = require("../models/Project")
+const Timer = require("../models/Timer")
+const { protect, permit } = require("../middleware/auth")
+const { can, accessScope } = require("../utils/policy")
+const { recordAudit } = require("../utils/audit")
+const { assertCanLogTime } = require("../utils/timesheets")
+
+const router = express.Router()
+
+// @desc    Get my current timer
+// @route   GET /api/timers/me
+// @access  Private
+router.get("/me", protect, permit("assignment:log-time"), async (req, res) => {
+  try {
+    const timer = await Timer.findOne({ user: req.user._id }).populate("assignment", "title project")
+
+    res.status(200).json({
+      success: true,
+      data: timer,
+    })
+  } catch (error) {
+    console.error("Get timer error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Start a timer on an assignment
+// @route   POST /api/timers/start
+// @access  Private (Assignee only)
+router.post("/start", protect, permit("assignment:log-time"), async (req, res) => {
+  try {
+    const { assignmentId, description } = req.body
+
+    const assignment = await Assignment.findById(assignmentId)
+
+    if (!assignment) {
+      return res.status(404).json({
+        success: false,
+        message: "Assignment not found",
+      })
+    }
+
+    if (!can(req.user, "assignment:log-time", assignment)) {
+      return res.status(403).json({
+        success: false,
+        message: "Only the assignee can log time for this assignment",
+      })
+    }
+
+    // Only one timer per user, running or paused
+    const existing = await Timer.findOne({ user: req.user._id }).populate("assignment", "title")
+    if (existing) {
+      return res.status(409).json({
+        success: false,
+        message: "You already have a timer; stop or discard it first",
+        data: existing,
+      })
+    }
+
+    const timer = await Timer.create({
+      user: req.user._id,
+      assignment: assignment._id,
+      project: assignment.project,
+      description,
+    })
+
+    res.status(201).json({
+      success: true,
+      message: "Timer started",
+      data: timer,
+    })
+  } catch (error) {
+    console.error("Start timer error:", error)
+
+    // Lost a race against another start request
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: "You already have a timer; stop or discard it first",
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Pause my timer
+// @route   POST /api/timers/me/pause
+// @access  Private
+router.post("/me/pause", protect, permit("assignment:log-time"), async (req, res) => {
+  try {
+    const timer = await Timer.findOne({ user: req.user._id })
+
+    if (!timer || timer.status !== "running") {
+      return res.status(404).json({
+        success: false,
+        message: "No running timer",
+      })
+    }
+
+    timer.pause()
+    await timer.save()
+
+    res.status(200).json({
+      success: true,
+      message: "Timer paused",
+      data: timer,
+    })
+  } catch (error) {
+    console.error("Pause timer error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Resume my paused timer
+// @route   POST /api/timers/me/resume
+// @access  Private
+router.post("/me/resume", protect, permit("assignment:log-time"), async (req, res) => {
+  try {
+    const timer = await Timer.findOne({ user: req.user._id })
+
+    if (!timer || timer.status !== "paused") {
+      return res.status(404).json({
+        success: false,
+        message: "No paused timer",
+      })
+    }
+
+    timer.resume()
+    await timer.save()
+
+    res.status(200).json({
+      success: true,
+      message: "Timer resumed",
+      data: timer,
+    })
+  } catch (error) {
+    console.error("Resume timer error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Stop my timer and log its time as a pending time entry
+// @route   POST /api/timers/me/stop
+// @access  Private
+router.post("/me/stop", protect, permit("assignment:log-time"), async (req, res) => {
+  try {
+    const timer = await Timer.findOne({ user: req.user._id })
+
+    if (!timer) {
+      return res.status(404).json({
+        success: false,
+        message: "No active timer",
+      })
+    }
+
+    const hours = timer.roundedHours()
+
+    if (hours > 24) {
+      return res.status(400).json({
+        success: false,
+        message: `Timer ran for ${timer.elapsedHours} hours; discard it and log the time manually`,
+      })
+    }
+
+    const assignment = await Assignment.findById(timer.assignment)
+
+    if (!assignment) {
+      await timer.deleteOne()
+      return res.status(404).json({
+        success: false,
+        message: "Assignment no longer exists; the timer was discarded",
+      })
+    }
+
+    if (!can(req.user, "assignment:log-time", assignment)) {
+      return res.status(403).json({
+        success: false,
+        message: "Only the assignee can log time for this assignment",
+      })
+    }
+
+    // Same checks as manual entries: locked periods, submitted timesheets, 24h per day
+    await assertCanLogTime(req.user._id, timer.startedAt, hours)
+
+    assignment.timeEntries.push({
+      date: timer.startedAt,
+      hours,
+      description: req.body.description !== undefined ? req.body.description : timer.description || "",
+      user: req.user.id,
+    })
+
+    assignment.$locals.changedBy = req.user._id
+    await assignment.save({ validateModifiedOnly: true })
+    await timer.deleteOne()
+
+    const entry = assignment.timeEntries[assignment.timeEntries.length - 1]
+
+    await recordAudit(req, {
+      action: "create",
+      entity: "TimeEntry",
+      entityId: assignment._id,
+      after: entry,
+      metadata: { fromTimer: true, elapsedMs: timer.elapsedMs() },
+    })
+
+    res.status(201).json({
+      success: true,
+      message: `Timer stopped, ${hours} hours logged`,
+      data: entry,
+    })
+  } catch (error) {
+    console.error("Stop timer error:", error)
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      })
+    }
+
+    if (error.name === "ValidationError") {
+      const messages = Object.values(error.errors).map((err) => err.message)
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        errors: messages,
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Discard my timer without logging time
+// @route   DELETE /api/timers/me
+// @access  Private
+router.delete("/me", protect, permit("assignment:log-time"), async (req, res) => {
+  try {
+    const timer = await Timer.findOneAndDelete({ user: req.user._id })
+
+    if (!timer) {
+      return res.status(404).json({
+        success: false,
+        message: "No active timer",
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Timer discarded",
+    })
+  } catch (error) {
+    console.error("Discard timer error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Get timers left running past the stale threshold
+// @route   GET /api/timers/stale?hours=
+// @access  Private (Admin/Manager)
+router.get("/stale", protect, permit("timer:manage"), async (req, res) => {
+  try {
+    const thresholdHours = Number.parseFloat(req.query.hours) || Number.parseFloat(process.env.TIMER_STALE_HOURS) || 12
+    const cutoff = new Date(Date.now() - thresholdHours * 60 * 60 * 1000)
+
+    const query = { status: "running", segmentStartedAt: { $lt: cutoff } }
+
+    // Managers only see timers on the projects they manage
+    if (accessScope(req.user, "timer:manage") === "managed") {
+      query.project = { $in: await Project.find({ manager: req.user.id }).distinct("_id") }
+    }
+
+    const timers = await Timer.find(query)
+      .populate("user", "firstName lastName email")
+      .populate("assignment", "title")
+      .populate("project", "name")
+      .sort({ segmentStartedAt: 1 })
+
+    res.status(200).json({
+      success: true,
+      count: timers.length,
+      thresholdHours,
+      data: timers,
+    })
+  } catch (error) {
+    console.error("Get stale timers error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Discard someone's timer (e.g. a forgotten one)
+// @route   DELETE /api/timers/:id
+// @access  Private (Admin/Manager)
+router.delete("/:id", protect, permit("timer:manage"), async (req, res) => {
+  try {
+    const timer = await Timer.findById(req.params.id).populate("project", "manager")
+
+    if (!timer) {
+      return res.status(404).json({
+        success: false,
+        message: "Timer not found",
+      })
+    }
+
+    if (!can(req.user, "timer:manage", timer)) {
+      return res.status(403).json({
+        success: false,
+        message: "You can only discard timers on projects you manage",
+      })
+    }
+
+    await timer.deleteOne()
+
+    await recordAudit(req, {
+      action: "delete",
+      entity: "Timer",
+      entityId: timer._id,
+      before: timer,
+      metadata: { elapsedHours: timer.elapsedHours },
+    })
+
+    res.status(200).json({
+      success: true,
+      message: "Timer discarded",
+    })
+  } catch (error) {
+    console.error("Discard timer error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+module.exports = router
@@ -0,0 +1,526 @@
+const express = require("express")
+const Assignment = require("../models/Assignment")
+const Project = require("../models/Project")
+const Timesheet = require("../models/Timesheet")
+const PeriodLock = require("../models/PeriodLock")
+const { protect, permit } = require("../middleware/auth")
+const { can, accessScope } = require("../utils/policy")
+const { recordAudit } = require("../utils/audit")
+const { DAY_MS, dayKey, weekBounds, entriesForUser, dailyTotals, assertNotLocked } = require("../utils/timesheets")
+
+const router = express.Router()
+
+// Users whose timesheets the reviewer may review: null means everyone
+const reviewableUserIds = async (reviewer) => {
+  if (accessScope(reviewer, "timesheet:review") === "all") return null
+
+  const managedProjects = await Project.find({ manager: reviewer._id }).distinct("_id")
+  const userIds = await Assignment.find({ project: { $in: managedProjects } }).distinct("assignee")
+  return userIds.map((id) => id.toString())
+}
+
+const canReviewUser = async (reviewer, userId) => {
+  const userIds = await reviewableUserIds(reviewer)
+  return userIds === null || userIds.includes(userId.toString())
+}
+
+// Entries for a week with project names, daily totals and the counted total
+const buildWeek = async (userId, start, end) => {
+  const entries = await entriesForUser(userId, start, end)
+  await Project.populate(entries, { path: "assignment.project", select: "name" })
+
+  const counted = entries.filter((entry) => entry.status !== "rejected")
+
+  return {
+    entries,
+    dailyTotals: dailyTotals(counted),
+    totalHours: counted.reduce((total, entry) => total + entry.hours, 0),
+  }
+}
+
+// @desc    Get my timesheet for a week (any date in the week, defaults to this week)
+// @route   GET /api/timesheets/me?week=YYYY-MM-DD
+// @access  Private
+router.get("/me", protect, permit("timesheet:submit"), async (req, res) => {
+  try {
+    const { start, end } = weekBounds(req.query.week)
+
+    const [week, timesheet, locks] = await Promise.all([
+      buildWeek(req.user._id, start, end),
+      Timesheet.findOne({ user: req.user._id, weekStart: start }).populate("reviewedBy", "firstName lastName email"),
+      PeriodLock.find({ startDate: { $lt: end }, endDate: { $gt: start } }).select("startDate endDate reason"),
+    ])
+
+    res.status(200).json({
+      success: true,
+      data: {
+        weekStart: dayKey(start),
+        weekEnd: dayKey(end.getTime() - DAY_MS),
+        status: timesheet ? timesheet.status : "open",
+        timesheet,
+        locks,
+        ...week,
+      },
+    })
+  } catch (error) {
+    console.error("Get my timesheet error:", error)
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Submit my timesheet for a week
+// @route   POST /api/timesheets/me/submit
+// @access  Private
+router.post("/me/submit", protect, permit("timesheet:submit"), async (req, res) => {
+  try {
+    const { start, end } = weekBounds(req.body.week)
+
+    let timesheet = await Timesheet.findOne({ user: req.user._id, weekStart: start })
+
+    if (timesheet && timesheet.status !== "rejected") {
+      return res.status(400).json({
+        success: false,
+        message: `Timesheet for the week of ${dayKey(start)} is already ${timesheet.status}`,
+      })
+    }
+
+    const week = await buildWeek(req.user._id, start, end)
+
+    if (week.totalHours === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "No time has been logged for this week",
+      })
+    }
+
+    const isResubmission = Boolean(timesheet)
+
+    if (!timesheet) {
+      timesheet = new Timesheet({ user: req.user._id, weekStart: start })
+    }
+
+    timesheet.set({
+      status: "submitted",
+      totalHours: week.totalHours,
+      submittedAt: new Date(),
+      reviewedBy: undefined,
+      reviewedAt: undefined,
+      reviewComment: undefined,
+    })
+    await timesheet.save()
+
+    await recordAudit(req, {
+      action: isResubmission ? "update" : "create",
+      entity: "Timesheet",
+      entityId: timesheet._id,
+      after: { status: "submitted", weekStart: start, totalHours: week.totalHours },
+    })
+
+    res.status(200).json({
+      success: true,
+      message: "Timesheet submitted for approval",
+      data: timesheet,
+    })
+  } catch (error) {
+    console.error("Submit timesheet error:", error)
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Get timesheets awaiting review
+// @route   GET /api/timesheets/review
+// @access  Private (Admin/Manager)
+router.get("/review", protect, permit("timesheet:review"), async (req, res) => {
+  try {
+    const query = { status: req.query.status || "submitted" }
+
+    // Managers only review people assigned to their projects
+    const userIds = await reviewableUserIds(req.user)
+    if (userIds !== null) {
+      query.user = { $in: userIds }
+    }
+
+    // Filter by week if provided
+    if (req.query.week) {
+      query.weekStart = weekBounds(req.query.week).start
+    }
+
+    const timesheets = await Timesheet.find(query)
+      .populate("user", "firstName lastName email department")
+      .populate("reviewedBy", "firstName lastName email")
+      .sort({ weekStart: -1, submittedAt: 1 })
+
+    res.status(200).json({
+      success: true,
+      count: timesheets.length,
+      data: timesheets,
+    })
+  } catch (error) {
+    console.error("Get timesheet review queue error:", error)
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Get locked periods
+// @route   GET /api/timesheets/locks
+// @access  Private
+router.get("/locks", protect, permit("timesheet:submit"), async (req, res) => {
+  try {
+    const locks = await PeriodLock.find().populate("lockedBy", "firstName lastName email").sort({ startDate: -1 })
+
+    res.status(200).json({
+      success: true,
+      count: locks.length,
+      data: locks,
+    })
+  } catch (error) {
+    console.error("Get period locks error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Lock a period (startDate and endDate are inclusive days)
+// @route   POST /api/timesheets/locks
+// @access  Private (Admin)
+router.post("/locks", protect, permit("timesheet:manage-locks"), async (req, res) => {
+  try {
+    const { startDate, endDate, reason } = req.body
+
+    const start = new Date(startDate)
+    const end = new Date(endDate)
+
+    if (!startDate || !endDate || Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide a valid startDate and endDate",
+      })
+    }
+
+    const lock = await PeriodLock.create({
+      startDate: new Date(`${dayKey(start)}T00:00:00.000Z`),
+      endDate: new Date(new Date(`${dayKey(end)}T00:00:00.000Z`).getTime() + DAY_MS),
+      reason,
+      lockedBy: req.user.id,
+    })
+
+    await recordAudit(req, { action: "create", entity: "PeriodLock", entityId: lock._id, after: lock })
+
+    res.status(201).json({
+      success: true,
+      message: "Period locked successfully",
+      data: lock,
+    })
+  } catch (error) {
+    console.error("Create period lock error:", error)
+
+    if (error.name === "ValidationError") {
+      const messages = Object.values(error.errors).map((err) => err.message)
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        errors: messages,
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Unlock a period
+// @route   DELETE /api/timesheets/locks/:id
+// @access  Private (Admin)
+router.delete("/locks/:id", protect, permit("timesheet:manage-locks"), async (req, res) => {
+  try {
+    const lock = await PeriodLock.findByIdAndDelete(req.params.id)
+
+    if (!lock) {
+      return res.status(404).json({
+        success: false,
+        message: "Period lock not found",
+      })
+    }
+
+    await recordAudit(req, { action: "delete", entity: "PeriodLock", entityId: lock._id, before: lock })
+
+    res.status(200).json({
+      success: true,
+      message: "Period unlocked successfully",
+    })
+  } catch (error) {
+    console.error("Delete period lock error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Get single timesheet with its entries
+// @route   GET /api/timesheets/:id
+// @access  Private (Owner or reviewer)
+router.get("/:id", protect, permit("timesheet:submit"), async (req, res) => {
+  try {
+    const timesheet = await Timesheet.findById(req.params.id)
+      .populate("user", "firstName lastName email department")
+      .populate("reviewedBy", "firstName lastName email")
+
+    if (!timesheet) {
+      return res.status(404).json({
+        success: false,
+        message: "Timesheet not found",
+      })
+    }
+
+    const isOwner = timesheet.user._id.toString() === req.user.id
+    const isReviewer =
+      accessScope(req.user, "timesheet:review") !== null && (await canReviewUser(req.user, timesheet.user._id))
+
+    if (!isOwner && !isReviewer) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to view this timesheet",
+      })
+    }
+
+    const week = await buildWeek(timesheet.user._id, timesheet.weekStart, new Date(timesheet.weekStart.getTime() + 7 * DAY_MS))
+
+    res.status(200).json({
+      success: true,
+      data: {
+        timesheet,
+        ...week,
+      },
+    })
+  } catch (error) {
+    console.error("Get timesheet error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Approve timesheet and every pending entry in it
+// @route   POST /api/timesheets/:id/approve
+// @access  Private (Admin/Manager)
+router.post("/:id/approve", protect, permit("timesheet:review"), async (req, res) => {
+  try {
+    const timesheet = await Timesheet.findById(req.params.id)
+
+    if (!timesheet) {
+      return res.status(404).json({
+        success: false,
+        message: "Timesheet not found",
+      })
+    }
+
+    if (timesheet.user.toString() === req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: "You cannot review your own timesheet",
+      })
+    }
+
+    if (!(await canReviewUser(req.user, timesheet.user))) {
+      return res.status(403).json({
+        success: false,
+        message: "You can only review timesheets of people on your projects",
+      })
+    }
+
+    if (timesheet.status !== "submitted") {
+      return res.status(400).json({
+        success: false,
+        message: `Timesheet is ${timesheet.status}, not awaiting review`,
+      })
+    }
+
+    const weekEnd = new Date(timesheet.weekStart.getTime() + 7 * DAY_MS)
+    const entries = (await entriesForUser(timesheet.user, timesheet.weekStart, weekEnd)).filter(
+      (entry) => entry.status === "pending",
+    )
+
+    const assignments = await Assignment.find({
+      _id: { $in: entries.map((entry) => entry.assignment._id) },
+    }).populate("project", "manager")
+
+    // Every entry must be on a project the reviewer may review, and outside locked periods
+    const foreign = assignments.filter((assignment) => !can(req.user, "time-entry:review", assignment))
+    if (foreign.length > 0) {
+      return res.status(403).json({
+        success: false,
+        message: "Timesheet includes time on projects you do not manage",
+        assignments: foreign.map((assignment) => assignment._id),
+      })
+    }
+
+    for (const entry of entries) {
+      await assertNotLocked(entry.date)
+    }
+
+    const reviewedAt = new Date()
+    const entryIds = entries.map((entry) => entry._id.toString())
+
+    for (const assignment of assignments) {
+      assignment.timeEntries
+        .filter((entry) => entryIds.includes(entry._id.toString()))
+        .forEach((entry) => {
+          entry.status = "approved"
+          entry.reviewedBy = req.user.id
+          entry.reviewedAt = reviewedAt
+        })
+
+      assignment.$locals.changedBy = req.user._id
+      await assignment.save({ validateModifiedOnly: true })
+    }
+
+    timesheet.status = "approved"
+    timesheet.reviewedBy = req.user.id
+    timesheet.reviewedAt = reviewedAt
+    timesheet.reviewComment = req.body.comment
+    await timesheet.save()
+
+    await recordAudit(req, {
+      action: "update",
+      entity: "Timesheet",
+      entityId: timesheet._id,
+      before: { status: "submitted" },
+      after: { status: "approved", reviewComment: timesheet.reviewComment },
+      metadata: { approvedEntries: entryIds },
+    })
+
+    res.status(200).json({
+      success: true,
+      message: "Timesheet approved",
+      data: timesheet,
+      approvedEntries: entryIds.length,
+    })
+  } catch (error) {
+    console.error("Approve timesheet error:", error)
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Reject timesheet (entries stay editable so it can be corrected and resubmitted)
+// @route   POST /api/timesheets/:id/reject
+// @access  Private (Admin/Manager)
+router.post("/:id/reject", protect, permit("timesheet:review"), async (req, res) => {
+  try {
+    const { comment } = req.body
+
+    if (!comment || comment.trim().length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: "A comment explaining the rejection is required",
+      })
+    }
+
+    const timesheet = await Timesheet.findById(req.params.id)
+
+    if (!timesheet) {
+      return res.status(404).json({
+        success: false,
+        message: "Timesheet not found",
+      })
+    }
+
+    if (timesheet.user.toString() === req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: "You cannot review your own timesheet",
+      })
+    }
+
+    if (!(await canReviewUser(req.user, timesheet.user))) {
+      return res.status(403).json({
+        success: false,
+        message: "You can only review timesheets of people on your projects",
+      })
+    }
+
+    if (timesheet.status !== "submitted") {
+      return res.status(400).json({
+        success: false,
+        message: `Timesheet is ${timesheet.status}, not awaiting review`,
+      })
+    }
+
+    timesheet.status = "rejected"
+    timesheet.reviewedBy = req.user.id
+    timesheet.reviewedAt = new Date()
+    timesheet.reviewComment = comment.trim()
+    await timesheet.save()
+
+    await recordAudit(req, {
+      action: "update",
+      entity: "Timesheet",
+      entityId: timesheet._id,
+      before: { status: "submitted" },
+      after: { status: "rejected", reviewComment: timesheet.reviewComment },
+    })
+
+    res.status(200).json({
+      success: true,
+      message: "Timesheet rejected",
+      data: timesheet,
+    })
+  } catch (error) {
+    console.error("Reject timesheet error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+module.exports = router
@@ -2,14 +2,41 @@ const express = require("express")
 const User = require("../models/User")
 const Assignment = require("../models/Assignment")
 const Project = require("../models/Project")
-const { protect, authorize, isAdmin, isAdminOrManager } = require("../middleware/auth")
+const { protect, permit } = require("../middleware/auth")
+const { can, accessScope, redactUser } = require("../utils/policy")
+const { recordAudit, snapshot } = require("../utils/audit")
+const { ACTIVE_STATUSES } = require("../utils/workflow")
+const { forecastCapacity } = require("../utils/capacity")
+const { skillQuery, setProficiencies } = require("../utils/skills")
 
 const router = express.Router()
 
+// Recalculate budgetUsed of the projects where a user has approved time on or after `from`
+const refreshProjectCosts = async (userId, from) => {
+  const approvedSince = { status: "approved", date: { $gte: from } }
+  const projectIds = await Assignment.find({
+    $or: [
+      { timeEntries: { $elemMatch: { ...approvedSince, user: userId } } },
+      { assignee: userId, timeEntries: { $elemMatch: approvedSince } },
+    ],
+  }).distinct("project")
+  const projects = await Project.find({ _id: { $in: projectIds } })
+
+  for (const project of projects) {
+    await project.updateBudgetUsed()
+  }
+}
+
+// rateOn() costs work dated before the first rate at that rate, so changing the first rate affects all earlier work
+const firstRateId = (user) => {
+  const [first] = [...user.rateHistory].sort((a, b) => a.effectiveFrom - b.effectiveFrom)
+  return first ? first._id.toString() : null
+}
+
 // @desc    Get all users/engineers
 // @route   GET /api/users
 // @access  Private (Admin/Manager)
-router.get("/", protect, isAdminOrManager, async (req, res) => {
+router.get("/", protect, permit("user:list"), async (req, res) => {
   try {
     const query = { isActive: true }
 
@@ -39,7 +66,7 @@ router.get("/", protect, isAdminOrManager, async (req, res) => {
     res.status(200).json({
       success: true,
       count: users.length,
-      data: users,
+      data: users.map((user) => redactUser(req.user, user)),
     })
   } catch (error) {
     console.error("Get users error:", error)
@@ -50,10 +77,63 @@ router.get("/", protect, isAdminOrManager, async (req, res) => {
   }
 })
 
+// @desc    Get available engineers for assignment
+// @route   GET /api/users/available-engineers
+// @access  Private (Admin/Manager)
+router.get("/available-engineers", protect, permit("engineer:list"), async (req, res) => {
+  try {
+    const { skills, minProficiency, department, experienceLevel, maxHours } = req.query
+
+    const query = {
+      role: "engineer",
+      isActive: true,
+    }
+
+    if (department) {
+      query.department = department
+    }
+
+    if (experienceLevel) {
+      query.experienceLevel = experienceLevel
+    }
+
+    // Any of the skills (names or aliases), optionally at a minimum proficiency
+    if (skills) {
+      Object.assign(query, await skillQuery(skills.split(","), minProficiency))
+    }
+
+    const engineers = await User.find(query).select("-password").populate("currentProjectsCount")
+
+    // Free hours this week: available hours (after time off and holidays) minus booked and planned work
+    const forecast = await forecastCapacity({ weeks: 1, userIds: engineers.map((engineer) => engineer._id) })
+    const freeHours = new Map(forecast.engineers.map((engineer) => [engineer.id.toString(), engineer.weeks[0].free]))
+
+    const available = engineers
+      .map((engineer) => ({
+        ...redactUser(req.user, engineer),
+        freeHoursThisWeek: freeHours.get(engineer._id.toString()) || 0,
+      }))
+      // Only engineers with at least maxHours free, if specified
+      .filter((engineer) => !maxHours || engineer.freeHoursThisWeek >= Number.parseFloat(maxHours))
+
+    res.status(200).json({
+      success: true,
+      count: available.length,
+      data: available,
+    })
+  } catch (error) {
+    console.error("Get available engineers error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
 // @desc    Get single user
 // @route   GET /api/users/:id
 // @access  Private
-router.get("/:id", protect, async (req, res) => {
+router.get("/:id", protect, permit("user:view"), async (req, res) => {
   try {
     const user = await User.findById(req.params.id).select("-password").populate("currentProjectsCount")
 
@@ -65,7 +145,7 @@ router.get("/:id", protect, async (req, res) => {
     }
 
     // Engineers can only view their own profile
-    if (req.user.role === "engineer" && req.user.id !== req.params.id) {
+    if (!can(req.user, "user:view", user)) {
       return res.status(403).json({
         success: false,
         message: "Not authorized to view this profile",
@@ -86,7 +166,7 @@ router.get("/:id", protect, async (req, res) => {
     res.status(200).json({
       success: true,
       data: {
-        user,
+        user: redactUser(req.user, user),
         assignments,
         projects,
       },
@@ -103,7 +183,7 @@ router.get("/:id", protect, async (req, res) => {
 // @desc    Create new user
 // @route   POST /api/users
 // @access  Private (Admin)
-router.post("/", protect, isAdmin, async (req, res) => {
+router.post("/", protect, permit("user:create"), async (req, res) => {
   try {
     const {
       firstName,
@@ -144,6 +224,8 @@ router.post("/", protect, isAdmin, async (req, res) => {
       phone,
     })
 
+    await recordAudit(req, { action: "create", entity: "User", entityId: user._id, after: user })
+
     res.status(201).json({
       success: true,
       message: "User created successfully",
@@ -191,17 +273,17 @@ router.put("/:id", protect, async (req, res) => {
     }
 
     // Check permissions
-    const canUpdate = req.user.role === "admin" || req.user.id === req.params.id
-
-    if (!canUpdate) {
+    if (!can(req.user, "user:update", user)) {
       return res.status(403).json({
         success: false,
         message: "Not authorized to update this user",
       })
     }
 
-    // Engineers can only update certain fields
-    if (req.user.role === "engineer" && req.user.id === req.params.id) {
+    const original = snapshot(user)
+
+    // Users updating their own record can only update certain fields
+    if (!can(req.user, "user:update")) {
       const allowedFields = ["firstName", "lastName", "phone", "location", "skills", "availability"]
       const updateFields = {}
 
@@ -211,17 +293,29 @@ router.put("/:id", protect, async (req, res) => {
         }
       })
 
-      user = await User.findByIdAndUpdate(req.params.id, updateFields, { new: true, runValidators: true }).select(
-        "-password",
-      )
+      user.set(updateFields)
     } else {
-      // Admins can update all fields except password
-      const { password, ...updateFields } = req.body
-      user = await User.findByIdAndUpdate(req.params.id, updateFields, { new: true, runValidators: true }).select(
-        "-password",
-      )
+      // Admins can update all fields except password; proficiencies go through PUT /api/users/:id/skills
+      // and backdated rates through POST /api/users/:id/rates
+      const { password, skillProficiencies, rateHistory, ...updateFields } = req.body
+      user.set(updateFields)
+    }
+
+    // A new hourlyRate applies from today; earlier work keeps its rate
+    const rateChanged = user.isModified("hourlyRate")
+    const firstRate = firstRateId(user)
+    user.$locals.changedBy = req.user._id
+
+    // Saved (rather than updated in place) so skills are mapped to the catalogue
+    await user.save({ validateModifiedOnly: true })
+
+    if (rateChanged) {
+      const today = new Date(new Date().toISOString().slice(0, 10))
+      await refreshProjectCosts(user._id, firstRateId(user) === firstRate ? today : new Date(0))
     }
 
+    await recordAudit(req, { action: "update", entity: "User", entityId: user._id, before: original, after: user })
+
     res.status(200).json({
       success: true,
       message: "User updated successfully",
@@ -246,10 +340,364 @@ router.put("/:id", protect, async (req, res) => {
   }
 })
 
+// @desc    Get user skill proficiencies
+// @route   GET /api/users/:id/skills
+// @access  Private
+router.get("/:id/skills", protect, permit("user:view"), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id)
+      .select("firstName lastName skills skillProficiencies")
+      .populate("skillProficiencies.skill", "name category")
+      .populate("skillProficiencies.endorsedBy", "firstName lastName email")
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      })
+    }
+
+    if (!can(req.user, "user:view", user)) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to view this profile",
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        proficiencies: user.skillProficiencies,
+        // Free-form skills that are not in the catalogue yet
+        uncatalogued: user.skills.filter(
+          (name) => !user.skillProficiencies.some((proficiency) => proficiency.skill && proficiency.skill.name === name),
+        ),
+      },
+    })
+  } catch (error) {
+    console.error("Get user skills error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Replace user skill proficiencies with [{ skill, level, lastUsedAt }]
+// @route   PUT /api/users/:id/skills
+// @access  Private
+router.put("/:id/skills", protect, permit("user:update"), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id)
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      })
+    }
+
+    if (!can(req.user, "user:update", user)) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to update this user",
+      })
+    }
+
+    const original = snapshot(user)
+
+    await setProficiencies(user, req.body.skills)
+    await user.save({ validateModifiedOnly: true })
+
+    await recordAudit(req, { action: "update", entity: "User", entityId: user._id, before: original, after: user })
+
+    await user.populate("skillProficiencies.skill", "name category")
+
+    res.status(200).json({
+      success: true,
+      message: "Skills updated successfully",
+      data: user.skillProficiencies,
+    })
+  } catch (error) {
+    console.error("Update user skills error:", error)
+
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+      })
+    }
+
+    if (error.name === "ValidationError") {
+      const messages = Object.values(error.errors).map((err) => err.message)
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        errors: messages,
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Endorse a user's proficiency in a skill
+// @route   POST /api/users/:id/skills/:skillId/endorse
+// @access  Private (Admin/Manager)
+router.post("/:id/skills/:skillId/endorse", protect, permit("skill:endorse"), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id)
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      })
+    }
+
+    if (user._id.toString() === req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: "You cannot endorse your own skills",
+      })
+    }
+
+    // Managers endorse people assigned to or on the team of their projects
+    if (accessScope(req.user, "skill:endorse") === "managed") {
+      const managedProjects = await Project.find({ manager: req.user._id }).select("_id")
+      const projectIds = managedProjects.map((p) => p._id)
+      const worksForManager =
+        (await Assignment.exists({ project: { $in: projectIds }, assignee: user._id })) ||
+        (await Project.exists({ _id: { $in: projectIds }, "teamMembers.user": user._id }))
+
+      if (!worksForManager) {
+        return res.status(403).json({
+          success: false,
+          message: "You can only endorse people on your projects",
+        })
+      }
+    }
+
+    const proficiency = user.skillProficiencies.find((p) => p.skill.toString() === req.params.skillId)
+
+    if (!proficiency) {
+      return res.status(404).json({
+        success: false,
+        message: "User does not have this skill",
+      })
+    }
+
+    const original = snapshot(user)
+
+    proficiency.endorsedBy = req.user.id
+    proficiency.endorsedAt = new Date()
+    await user.save({ validateModifiedOnly: true })
+
+    await recordAudit(req, {
+      action: "update",
+      entity: "User",
+      entityId: user._id,
+      before: original,
+      after: user,
+      metadata: { endorsedSkill: proficiency.skill },
+    })
+
+    res.status(200).json({
+      success: true,
+      message: "Skill endorsed",
+      data: proficiency,
+    })
+  } catch (error) {
+    console.error("Endorse skill error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Get user hourly rate history
+// @route   GET /api/users/:id/rates
+// @access  Private
+router.get("/:id/rates", protect, permit("user:view-rate"), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id)
+      .select("firstName lastName hourlyRate rateHistory")
+      .populate("rateHistory.setBy", "firstName lastName email")
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      })
+    }
+
+    if (!can(req.user, "user:view-rate", user)) {
+      return res.status(403).json({
+        success: false,
+        message: "Not authorized to view this user's rates",
+      })
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        currentRate: user.rateOn(new Date()),
+        history: user.rateHistory,
+      },
+    })
+  } catch (error) {
+    console.error("Get user rates error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Add hourly rate effective from a date (past or future)
+// @route   POST /api/users/:id/rates
+// @access  Private (Admin)
+router.post("/:id/rates", protect, permit("user:manage-rate"), async (req, res) => {
+  try {
+    const { rate, effectiveFrom, reason } = req.body
+    const from = effectiveFrom ? new Date(effectiveFrom) : new Date()
+
+    if (rate === undefined || rate === null || Number.isNaN(Number(rate)) || Number.isNaN(from.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide a rate and a valid effectiveFrom date",
+      })
+    }
+
+    const user = await User.findById(req.params.id)
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      })
+    }
+
+    const original = snapshot(user)
+    const firstRate = firstRateId(user)
+
+    user.setRate(Number(rate), from, { reason, setBy: req.user._id })
+    await user.save({ validateModifiedOnly: true })
+
+    // Approved time from the effective date on is costed at the new rate (all of it for a new first rate)
+    const day = new Date(from.toISOString().slice(0, 10))
+    await refreshProjectCosts(user._id, firstRateId(user) === firstRate ? day : new Date(0))
+
+    await recordAudit(req, {
+      action: "update",
+      entity: "User",
+      entityId: user._id,
+      before: original,
+      after: user,
+      metadata: { rate: Number(rate), effectiveFrom: from, reason },
+    })
+
+    res.status(201).json({
+      success: true,
+      message: "Rate added successfully",
+      data: {
+        currentRate: user.rateOn(new Date()),
+        history: user.rateHistory,
+      },
+    })
+  } catch (error) {
+    console.error("Add user rate error:", error)
+
+    if (error.name === "ValidationError") {
+      const messages = Object.values(error.errors).map((err) => err.message)
+      return res.status(400).json({
+        success: false,
+        message: "Validation error",
+        errors: messages,
+      })
+    }
+
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
+// @desc    Remove a rate from the history
+// @route   DELETE /api/users/:id/rates/:rateId
+// @access  Private (Admin)
+router.delete("/:id/rates/:rateId", protect, permit("user:manage-rate"), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.id)
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      })
+    }
+
+    const entry = user.rateHistory.id(req.params.rateId)
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: "Rate not found",
+      })
+    }
+
+    if (user.rateHistory.length === 1) {
+      return res.status(400).json({
+        success: false,
+        message: "A user's only rate cannot be removed; add a new rate instead",
+      })
+    }
+
+    const original = snapshot(user)
+    const firstRate = firstRateId(user)
+
+    user.rateHistory.pull(entry._id)
+    await user.save({ validateModifiedOnly: true })
+
+    // Time from the removed rate's start now falls under the rate before it; removing the first rate
+    // moves all earlier time to the next one
+    await refreshProjectCosts(user._id, firstRate === entry._id.toString() ? new Date(0) : entry.effectiveFrom)
+
+    await recordAudit(req, {
+      action: "update",
+      entity: "User",
+      entityId: user._id,
+      before: original,
+      after: user,
+      metadata: { removedRate: entry.rate, effectiveFrom: entry.effectiveFrom },
+    })
+
+    res.status(200).json({
+      success: true,
+      message: "Rate removed successfully",
+      data: {
+        currentRate: user.rateOn(new Date()),
+        history: user.rateHistory,
+      },
+    })
+  } catch (error) {
+    console.error("Delete user rate error:", error)
+    res.status(500).json({
+      success: false,
+      message: "Server error",
+    })
+  }
+})
+
 // @desc    Delete/Deactivate user
 // @route   DELETE /api/users/:id
 // @access  Private (Admin)
-router.delete("/:id", protect, isAdmin, async (req, res) => {
+router.delete("/:id", protect, permit("user:delete"), async (req, res) => {
   try {
     const user = await User.findById(req.params.id)
 
@@ -271,15 +719,27 @@ router.delete("/:id", protect, isAdmin, async (req, res) => {
       }
     }
 
+    const original = snapshot(user)
+
     // Soft delete - deactivate user instead of removing
     user.isActive = false
     await user.save()
 
     // Reassign or cancel active assignments
-    await Assignment.updateMany(
-      { assignee: req.params.id, status: { $in: ["active", "in-progress"] } },
-      { status: "cancelled" },
-    )
+    const cancelledAssignments = await Assignment.find({
+      assignee: req.params.id,
+      status: { $in: ACTIVE_STATUSES },
+    }).distinct("_id")
+
+    await Assignment.updateMany({ _id: { $in: cancelledAssignments } }, { status: "cancelled" })
+
+    await recordAudit(req, {
+      action: "delete",
+      entity: "User",
+      entityId: user._id,
+      before: original,
+      metadata: { softDelete: true, cancelledAssignments },
+    })
 
     res.status(200).json({
       success: true,
@@ -297,7 +757,7 @@ router.delete("/:id", protect, isAdmin, async (req, res) => {
 // @desc    Get user statistics
 // @route   GET /api/users/stats/overview
 // @access  Private (Admin/Manager)
-router.get("/stats/overview", protect, isAdminOrManager, async (req, res) => {
+router.get("/stats/overview", protect, permit("user:view-stats"), async (req, res) => {
   try {
     const stats = await User.aggregate([
       { $match: { isActive: true } },
@@ -371,61 +831,10 @@ router.get("/stats/overview", protect, isAdminOrManager, async (req, res) => {
   }
 })
 
-// @desc    Get available engineers for assignment
-// @route   GET /api/users/available-engineers
-// @access  Private (Admin/Manager)
-router.get("/available-engineers", protect, isAdminOrManager, async (req, res) => {
-  try {
-    const { skills, department, experienceLevel, maxHours } = req.query
-
-    const query = {
-      role: "engineer",
-      isActive: true,
-    }
-
-    if (department) {
-      query.department = department
-    }
-
-    if (experienceLevel) {
-      query.experienceLevel = experienceLevel
-    }
-
-    if (skills) {
-      const skillsArray = skills.split(",")
-      query.skills = { $in: skillsArray }
-    }
-
-    let engineers = await User.find(query).select("-password").populate("currentProjectsCount")
-
-    // Filter by availability if maxHours is specified
-    if (maxHours) {
-      engineers = engineers.filter((engineer) => {
-        const currentWorkload = engineer.currentProjectsCount || 0
-        const availableHours = engineer.availability - currentWorkload
-        return availableHours >= Number.parseInt(maxHours)
-      })
-    }
-
-    res.status(200).json({
-      success: true,
-      count: engineers.length,
-      data: engineers,
-    })
-  } catch (error) {
-    console.error("Get available engineers error:", error)
-    res.status(500).json({
-      success: false,
-      message: "Server error",
-    })
-  }
-})
-
-
 // @desc    Get Manager Dashboard Stats
 // @route   GET /api/dashboard/manager-stats
 // @access  Private (Admin/Manager)
-router.get("/manager-stats", protect, isAdminOrManager, async (req, res) => {
+router.get("/manager-stats", protect, permit("user:view-stats"), async (req, res) => {
   try {
     // Count engineers (active)
     const teamSize = await User.countDocuments({ role: "engineer", isActive: true })
@@ -0,0 +1,85 @@
+const mongoose = require("mongoose")
+const dotenv = require("dotenv")
+const User = require("../models/User")
+const Skill = require("../models/Skill")
+const defaultSkills = require("../config/skills")
+const { resolveSkills } = require("../utils/skills")
+
+// Load environment variables
+dotenv.config()
+
+// Add catalogue entries whose name and aliases are not taken yet
+const loadCatalogue = async () => {
+  let added = 0
+
+  for (const entry of defaultSkills) {
+    const { skills } = await resolveSkills([entry.name, ...entry.aliases])
+    if (skills.length === 0) {
+      await Skill.create(entry)
+      added += 1
+    }
+  }
+
+  return added
+}
+
+// Map free-form User.skills strings onto the catalogue:
+// 1. load the default catalogue (config/skills.js)
+// 2. add a skill (category "other") for every name that still does not resolve, spelled the way most users spell it
+// 3. re-save every user so their skills are renamed to the canonical names and get proficiencies
+// Safe to run more than once. Merge near-duplicates afterwards with POST /api/skills/:id/merge.
+const migrateSkills = async () => {
+  const catalogueAdded = await loadCatalogue()
+
+  const spellings = await User.aggregate([
+    { $unwind: "$skills" },
+    { $group: { _id: "$skills", count: { $sum: 1 } } },
+    { $sort: { count: -1 } },
+  ])
+
+  const { unknown } = await resolveSkills(spellings.map((spelling) => spelling._id))
+  for (const name of unknown) {
+    await Skill.create({ name, category: "other" })
+  }
+
+  const users = await User.find({ "skills.0": { $exists: true } })
+  let failed = 0
+
+  for (const user of users) {
+    try {
+      user.markModified("skills")
+      await user.save({ validateModifiedOnly: true })
+    } catch (error) {
+      failed += 1
+      console.error(`Skill migration failed for user ${user._id}:`, error.message)
+    }
+  }
+
+  return { catalogueAdded, uncataloguedAdded: unknown.length, users: users.length, failed }
+}
+
+const run = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || "mongodb://localhost:27017/engineering-resource-management")
+    console.log("MongoDB connected for skill migration")
+
+    const result = await migrateSkills()
+
+    console.log("Skill migration completed:")
+    console.log(`- ${result.catalogueAdded} catalogue skills added`)
+    console.log(`- ${result.uncataloguedAdded} skills added from existing user skills`)
+    console.log(`- ${result.users - result.failed}/${result.users} users migrated`)
+
+    process.exit(result.failed > 0 ? 1 : 0)
+  } catch (error) {
+    console.error("Skill migration failed:", error)
+    process.exit(1)
+  }
+}
+
+// Run migration if this file is executed directly
+if (require.main === module) {
+  run()
+}
+
+module.exports = { migrateSkills }
@@ -4,6 +4,8 @@ const dotenv = require("dotenv")
 const User = require("../models/User")
 const Project = require("../models/Project")
 const Assignment = require("../models/Assignment")
+const Skill = require("../models/Skill")
+const defaultSkills = require("../config/skills")
 
 // Load environment variables
 dotenv.config()
@@ -18,6 +20,20 @@ const connectDB = async () => {
   }
 }
 
+// Users' skills are mapped onto this catalogue when they are saved, so it goes first
+const seedSkills = async () => {
+  try {
+    await Skill.deleteMany({})
+
+    const createdSkills = await Skill.create(defaultSkills)
+    console.log(`${createdSkills.length} skills created successfully`)
+    return createdSkills
+  } catch (error) {
+    console.error("Error seeding skills:", error)
+    throw error
+  }
+}
+
 const seedUsers = async () => {
   try {
     // Clear existing users
@@ -187,7 +203,21 @@ const seedProjects = async (users) => {
         progress: 75,
         deadline: new Date(Date.now() + 60 * 24 * 60 * 60 * 1000), // 60 days from now
         budget: 500000,
-        budgetUsed: 375000,
+        // budgetUsed is computed from approved time and expenses
+        expenses: [
+          {
+            description: "Cloud hosting (staging and production)",
+            amount: 18500,
+            category: "services",
+            date: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000),
+          },
+          {
+            description: "Recommendation engine licence",
+            amount: 12000,
+            category: "software",
+            date: new Date(Date.now() - 45 * 24 * 60 * 60 * 1000),
+          },
+        ],
         manager: managers[0]._id,
         teamMembers: [
           { user: engineers[0]._id, role: "Lead Frontend Developer", hoursPerWeek: 40 },
@@ -219,7 +249,14 @@ const seedProjects = async (users) => {
         progress: 60,
         deadline: new Date(Date.now() + 45 * 24 * 60 * 60 * 1000), // 45 days from now
         budget: 200000,
-        budgetUsed: 120000,
+        expenses: [
+          {
+            description: "Test devices",
+            amount: 4200,
+            category: "hardware",
+            date: new Date(Date.now() - 20 * 24 * 60 * 60 * 1000),
+          },
+        ],
         manager: managers[0]._id,
         teamMembers: [
           { user: engineers[4]._id, role: "Mobile Developer", hoursPerWeek: 40 },
@@ -244,7 +281,6 @@ const seedProjects = async (users) => {
         progress: 25,
         deadline: new Date(Date.now() + 90 * 24 * 60 * 60 * 1000), // 90 days from now
         budget: 300000,
-        budgetUsed: 75000,
         manager: managers[1]._id,
         teamMembers: [
           { user: engineers[2]._id, role: "ML Engineer", hoursPerWeek: 40 },
@@ -268,7 +304,6 @@ const seedProjects = async (users) => {
         progress: 40,
         deadline: new Date(Date.now() + 75 * 24 * 60 * 60 * 1000), // 75 days from now
         budget: 150000,
-        budgetUsed: 60000,
         manager: managers[1]._id,
         teamMembers: [{ user: engineers[1]._id, role: "DevOps Lead", hoursPerWeek: 40 }],
         technologies: ["Kubernetes", "Docker", "AWS", "Terraform"],
@@ -276,6 +311,11 @@ const seedProjects = async (users) => {
     ]
 
     const createdProjects = await Project.create(projects)
+
+    // Expenses count towards budgetUsed straight away; approved time is added as assignments are created
+    for (const project of createdProjects) {
+      await project.updateBudgetUsed()
+    }
     console.log(`${createdProjects.length} projects created successfully`)
     return createdProjects
   } catch (error) {
@@ -507,6 +547,20 @@ const seedAssignments = async (users, projects) => {
       },
     ]
 
+    // Managers have approved earlier entries; the latest entry on open work still awaits review
+    assignments.forEach((assignment) => {
+      assignment.timeEntries = assignment.timeEntries.map((entry, index) => {
+        const approved = assignment.status === "completed" || index < assignment.timeEntries.length - 1
+        return {
+          ...entry,
+          user: assignment.assignee,
+          status: approved ? "approved" : "pending",
+          reviewedBy: approved ? assignment.assignedBy : undefined,
+          reviewedAt: approved ? new Date(entry.date.getTime() + 24 * 60 * 60 * 1000) : undefined,
+        }
+      })
+    })
+
     const createdAssignments = await Assignment.create(assignments)
     console.log(`${createdAssignments.length} assignments created successfully`)
     return createdAssignments
@@ -522,12 +576,14 @@ const seedDatabase = async () => {
 
     console.log("Starting database seeding...")
 
+    const skills = await seedSkills()
     const users = await seedUsers()
     const projects = await seedProjects(users)
     const assignments = await seedAssignments(users, projects)
 
     console.log("Database seeding completed successfully!")
     console.log(`Created:`)
+    console.log(`- ${skills.length} skills`)
     console.log(`- ${users.length} users`)
     console.log(`- ${projects.length} projects`)
     console.log(`- ${assignments.length} assignments`)
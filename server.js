@@ -2,7 +2,6 @@ const express = require("express")
 const mongoose = require("mongoose")
 const cors = require("cors")
 const dotenv = require("dotenv")
-const path = require("path")
 const helmet = require("helmet")
 const mongoSanitize = require("express-mongo-sanitize")
 const xss = require("xss-clean")
@@ -18,6 +17,15 @@ const projectRoutes = require("./routes/projects")
 const assignmentRoutes = require("./routes/assignments")
 const engineerRoutes = require("./routes/engineers")
 const analyticsRoutes = require("./routes/analytics")
+const invitationRoutes = require("./routes/invitations")
+const auditRoutes = require("./routes/audit")
+const timesheetRoutes = require("./routes/timesheets")
+const timerRoutes = require("./routes/timers")
+const timeOffRoutes = require("./routes/timeOff")
+const holidayRoutes = require("./routes/holidays")
+const skillRoutes = require("./routes/skills")
+const notificationRoutes = require("./routes/notifications")
+const { startMetricsJob } = require("./jobs/metrics")
 
 // Load environment variables
 dotenv.config()
@@ -116,9 +124,6 @@ if (process.env.NODE_ENV === "development") {
   app.use(morgan("combined"))
 }
 
-// Static files
-app.use("/uploads", express.static(path.join(__dirname, "uploads")))
-
 // Database connection with retry logic
 const connectDB = async () => {
   const maxRetries = 5
@@ -155,6 +160,9 @@ mongoose.connection.on("error", (error) => {
   console.error("MongoDB connection error:", error)
 })
 
+// Start scheduled jobs once the database is reachable
+mongoose.connection.once("open", startMetricsJob)
+
 mongoose.connection.on("disconnected", () => {
   console.log("MongoDB disconnected")
 })
@@ -173,6 +181,14 @@ app.use("/api/projects", projectRoutes)
 app.use("/api/assignments", assignmentRoutes)
 app.use("/api/engineers", engineerRoutes)
 app.use("/api/analytics", analyticsRoutes)
+app.use("/api/invitations", invitationRoutes)
+app.use("/api/audit", auditRoutes)
+app.use("/api/timesheets", timesheetRoutes)
+app.use("/api/timers", timerRoutes)
+app.use("/api/time-off", timeOffRoutes)
+app.use("/api/holidays", holidayRoutes)
+app.use("/api/skills", skillRoutes)
+app.use("/api/notifications", notificationRoutes)
 
 // Health check endpoint
 app.get("/api/health", (req, res) => {
@@ -197,6 +213,14 @@ app.get("/api", (req, res) => {
       assignments: "/api/assignments",
       engineers: "/api/engineers",
       analytics: "/api/analytics",
+      invitations: "/api/invitations",
+      audit: "/api/audit",
+      timesheets: "/api/timesheets",
+      timers: "/api/timers",
+      timeOff: "/api/time-off",
+      holidays: "/api/holidays",
+      skills: "/api/skills",
+      notifications: "/api/notifications",
       health: "/api/health",
     },
     documentation: "https://your-docs-url.com",
@@ -0,0 +1,51 @@
+const Assignment = require("../models/Assignment")
+const { openFile, deleteFile } = require("./storage")
+
+// Bytes a project may store: its own storageQuotaMB, else PROJECT_STORAGE_QUOTA_MB (500MB by default)
+const storageQuota = (project) =>
+  (project.storageQuotaMB || Number.parseInt(process.env.PROJECT_STORAGE_QUOTA_MB) || 500) * 1024 * 1024
+
+// Bytes stored on a project and on all of its assignments
+const storageUsed = async (project) => {
+  const projectBytes = project.attachments.reduce((total, attachment) => total + (attachment.size || 0), 0)
+
+  const [assignmentBytes] = await Assignment.aggregate([
+    { $match: { project: project._id } },
+    { $unwind: "$attachments" },
+    { $group: { _id: null, total: { $sum: "$attachments.size" } } },
+  ])
+
+  return projectBytes + (assignmentBytes ? assignmentBytes.total : 0)
+}
+
+// Stream a stored attachment to the client as a download
+const sendAttachment = async (res, attachment) => {
+  const stream = await openFile(attachment.path)
+
+  res.set({
+    "Content-Type": attachment.mimeType || "application/octet-stream",
+    "Content-Disposition": `attachment; filename*=UTF-8''${encodeURIComponent(attachment.originalName)}`,
+  })
+
+  stream.on("error", (error) => {
+    console.error("Stream attachment error:", error)
+    res.destroy(error)
+  })
+  stream.pipe(res)
+}
+
+// Delete stored files for removed attachments. Failures are logged so record cleanup still goes through.
+const removeStoredFiles = async (attachments) => {
+  await Promise.all(
+    attachments.map((attachment) =>
+      deleteFile(attachment.path).catch((error) => console.error("Delete stored file error:", error)),
+    ),
+  )
+}
+
+module.exports = {
+  storageQuota,
+  storageUsed,
+  sendAttachment,
+  removeStoredFiles,
+}
@@ -0,0 +1,78 @@
+const AuditLog = require("../models/AuditLog")
+
+// Never copied into the audit trail (secrets, bookkeeping, and histories kept on the document itself)
+const EXCLUDED_FIELDS = [
+  "password",
+  "resetPasswordToken",
+  "resetPasswordExpire",
+  "twoFactor",
+  "tokenHash",
+  "loginAttempts",
+  "lockUntil",
+  "lastLogin",
+  "createdAt",
+  "updatedAt",
+  "history",
+  "__v",
+]
+
+// Plain copy of a document's stored fields, safe to keep in the audit trail.
+// Capture one before mutating a document and pass it as `before`.
+const snapshot = (doc) => {
+  if (!doc) return {}
+
+  const data = typeof doc.toObject === "function" ? doc.toObject({ depopulate: true, virtuals: false }) : { ...doc }
+  EXCLUDED_FIELDS.forEach((field) => delete data[field])
+  return data
+}
+
+// Reduce two snapshots to the fields whose values differ
+const diff = (before, after) => {
+  const changedBefore = {}
+  const changedAfter = {}
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)])
+
+  fields.forEach((field) => {
+    if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+      changedBefore[field] = before[field]
+      changedAfter[field] = after[field]
+    }
+  })
+
+  return { before: changedBefore, after: changedAfter }
+}
+
+// Record a mutation. Failures are logged but never fail the request.
+const recordAudit = async (req, { action, entity, entityId, before, after, metadata, actor }) => {
+  try {
+    const changes = diff(action === "create" ? {} : snapshot(before), action === "delete" ? {} : snapshot(after))
+
+    // Nothing actually changed
+    if (action === "update" && Object.keys(changes.after).length === 0 && !metadata) {
+      return
+    }
+
+    const actingUser = actor || req.user
+
+    await AuditLog.create({
+      actor: actingUser && actingUser._id,
+      actorRole: actingUser && actingUser.role,
+      action,
+      entity,
+      entityId,
+      route: { method: req.method, path: req.originalUrl },
+      before: action === "create" ? undefined : changes.before,
+      after: action === "delete" ? undefined : changes.after,
+      metadata,
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+    })
+  } catch (error) {
+    console.error("Audit log error:", error)
+  }
+}
+
+module.exports = {
+  recordAudit,
+  snapshot,
+}
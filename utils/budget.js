@@ -0,0 +1,111 @@
+const User = require("../models/User")
+const { DAY_MS, dayKey } = require("./timesheets")
+const { projectCostItems } = require("./costs")
+const { notify } = require("./notifications")
+
+const DEFAULT_ALERT_THRESHOLDS = [50, 80, 100]
+
+const burnRateWindowDays = () => Number.parseInt(process.env.BURN_RATE_WINDOW_DAYS) || 28
+
+const round = (value) => Math.round(value * 100) / 100
+
+// Burn rate is the average daily spend over the last `days` days. At that pace the remaining budget
+// runs out on `runOutDate` (null when nothing is being spent), which is compared with the deadline.
+const budgetForecast = async (project, { now = new Date(), days = burnRateWindowDays() } = {}) => {
+  const items = await projectCostItems(project)
+  const from = new Date(now.getTime() - days * DAY_MS)
+
+  const spent = items.reduce((sum, item) => sum + item.amount, 0)
+  const recentSpend = items
+    .filter((item) => item.date >= from && item.date <= now)
+    .reduce((sum, item) => sum + item.amount, 0)
+  const dailyBurnRate = recentSpend / days
+  const remaining = project.budget - spent
+
+  let runOutDate = null
+  if (remaining <= 0) {
+    runOutDate = now
+  } else if (dailyBurnRate > 0) {
+    runOutDate = new Date(now.getTime() + (remaining / dailyBurnRate) * DAY_MS)
+  }
+
+  const deadline = project.deadline ? new Date(project.deadline) : null
+  const daysToDeadline = deadline ? Math.max((deadline.getTime() - now.getTime()) / DAY_MS, 0) : 0
+  const projectedCostAtDeadline = spent + dailyBurnRate * daysToDeadline
+
+  return {
+    budget: project.budget,
+    spent: round(spent),
+    remaining: round(remaining),
+    utilization: project.budget > 0 ? round((spent / project.budget) * 100) : 0,
+    windowDays: days,
+    recentSpend: round(recentSpend),
+    dailyBurnRate: round(dailyBurnRate),
+    weeklyBurnRate: round(dailyBurnRate * 7),
+    runOutDate,
+    deadline,
+    runsOutBeforeDeadline: Boolean(runOutDate && deadline && runOutDate < deadline),
+    projectedCostAtDeadline: round(projectedCostAtDeadline),
+    projectedOverrun: round(Math.max(projectedCostAtDeadline - project.budget, 0)),
+  }
+}
+
+// Record the alert thresholds budgetUsed has newly crossed on the project and return them. Thresholds
+// the spend has dropped back below are cleared, so they alert again when crossed the next time.
+const crossedBudgetThresholds = (project) => {
+  if (!(project.budget > 0)) return []
+
+  const utilization = (project.budgetUsed / project.budget) * 100
+  const thresholds = project.budgetAlertThresholds || DEFAULT_ALERT_THRESHOLDS
+
+  project.budgetAlertsSent = project.budgetAlertsSent.filter((alert) => alert.threshold <= utilization)
+
+  const crossed = thresholds.filter(
+    (threshold) => threshold <= utilization && !project.budgetAlertsSent.some((alert) => alert.threshold === threshold),
+  )
+
+  crossed.forEach((threshold) => {
+    project.budgetAlertsSent.push({ threshold, sentAt: new Date(), budgetUsed: project.budgetUsed })
+  })
+
+  return crossed
+}
+
+// Tell the project manager and admins that the budget crossed `threshold` percent, with the forecast.
+// Errors are logged rather than thrown so recording costs never fails because of an alert.
+const sendBudgetAlert = async (project, threshold) => {
+  try {
+    await notifyBudgetThreshold(project, threshold)
+  } catch (error) {
+    console.error(`Budget alert error for project ${project._id}:`, error)
+  }
+}
+
+const notifyBudgetThreshold = async (project, threshold) => {
+  const forecast = await budgetForecast(project)
+  const admins = await User.find({ role: "admin", isActive: true }).distinct("_id")
+
+  const outlook = forecast.runOutDate
+    ? `At the current burn rate of ${forecast.weeklyBurnRate} per week the budget runs out on ${dayKey(forecast.runOutDate)}` +
+      (forecast.deadline ? ` (deadline ${dayKey(forecast.deadline)}).` : ".")
+    : "Nothing has been spent recently."
+
+  await notify([project.manager && (project.manager._id || project.manager), ...admins], {
+    type: "budget-threshold",
+    title: `${project.name} has used ${forecast.utilization}% of its budget`,
+    message:
+      `${project.name} crossed its ${threshold}% budget threshold: ${forecast.spent} of ${forecast.budget} spent. ${outlook}` +
+      (forecast.projectedOverrun > 0 ? ` Projected overrun at the deadline: ${forecast.projectedOverrun}.` : ""),
+    entity: "Project",
+    entityId: project._id,
+    data: { threshold, ...forecast },
+  })
+}
+
+module.exports = {
+  DEFAULT_ALERT_THRESHOLDS,
+  burnRateWindowDays,
+  budgetForecast,
+  crossedBudgetThresholds,
+  sendBudgetAlert,
+}
@@ -0,0 +1,374 @@
+const User = require("../models/User")
+const Project = require("../models/Project")
+const Assignment = require("../models/Assignment")
+const TimeOff = require("../models/TimeOff")
+const HolidayCalendar = require("../models/HolidayCalendar")
+const { ACTIVE_STATUSES } = require("./workflow")
+const { DAY_MS, dayKey, weekBounds } = require("./timesheets")
+const { canonicalSkillNames } = require("./skills")
+
+const WORKDAYS_PER_WEEK = 5
+const MAX_FORECAST_WEEKS = 52
+
+const round = (value) => Math.round(value * 100) / 100
+
+const startOfDay = (date) => new Date(dayKey(date))
+
+const isWorkday = (date) => date.getUTCDay() !== 0 && date.getUTCDay() !== 6
+
+// Workdays (UTC) from the day of `from` up to `to` (exclusive)
+const workdaysBetween = (from, to) => {
+  const days = []
+  for (let time = startOfDay(from).getTime(); time < new Date(to).getTime(); time += DAY_MS) {
+    const day = new Date(time)
+    if (isWorkday(day)) days.push(day)
+  }
+  return days
+}
+
+// Days each user is away in [from, to): approved time off plus the holidays of the calendar for
+// their `location` (or the default calendar). Returns { userId: Set of "YYYY-MM-DD" }
+const unavailableDays = async (users, from, to) => {
+  const locations = [...new Set(users.map((user) => (user.location || "").trim().toLowerCase()).filter(Boolean))]
+  const start = startOfDay(from)
+
+  const [absences, calendars] = await Promise.all([
+    TimeOff.find({
+      user: { $in: users.map((user) => user._id) },
+      status: "approved",
+      startDate: { $lt: to },
+      endDate: { $gt: from },
+    }),
+    // A location's calendar applies even with no holidays in the window, so load calendars by location
+    HolidayCalendar.find({ $or: [{ isDefault: true }, { locations: { $in: locations } }] }),
+  ])
+
+  const defaultCalendar = calendars.find((calendar) => calendar.isDefault)
+  const days = {}
+
+  users.forEach((user) => {
+    const location = (user.location || "").trim().toLowerCase()
+    const calendar = calendars.find((c) => location && c.locations.includes(location)) || defaultCalendar
+    const holidays = calendar ? calendar.holidays.filter((holiday) => holiday.date >= start && holiday.date < to) : []
+    days[user._id.toString()] = new Set(holidays.map((holiday) => dayKey(holiday.date)))
+  })
+
+  absences.forEach((absence) => {
+    const key = absence.user.toString()
+    for (let time = startOfDay(absence.startDate).getTime(); time < absence.endDate.getTime(); time += DAY_MS) {
+      days[key].add(dayKey(time))
+    }
+  })
+
+  return days
+}
+
+// Hours a user can work in [from, to): `availability` per week, pro rata per workday they are not away
+const availableHours = (user, from, to, daysAway = new Set()) =>
+  workdaysBetween(from, to).filter((day) => !daysAway.has(dayKey(day))).length *
+  ((user.availability || 0) / WORKDAYS_PER_WEEK)
+
+// Available hours for each of the `weeks` weeks starting this Monday, per user: { userId: [hours, ...] }
+const weeklyAvailableHours = async (users, { weeks = 1, from = new Date() } = {}) => {
+  const start = weekBounds(from).start
+  const end = new Date(start.getTime() + weeks * 7 * DAY_MS)
+  const away = await unavailableDays(users, start, end)
+
+  const result = {}
+  users.forEach((user) => {
+    result[user._id.toString()] = Array.from({ length: weeks }, (_, week) => {
+      const weekStart = new Date(start.getTime() + week * 7 * DAY_MS)
+      return round(availableHours(user, weekStart, new Date(weekStart.getTime() + 7 * DAY_MS), away[user._id.toString()]))
+    })
+  })
+  return result
+}
+
+const remainingHours = (assignment) => Math.max((assignment.estimatedHours || 0) - assignment.totalLoggedHours, 0)
+
+// Open assignments that cannot be finished in time. Each assignee works through their assignments
+// by deadline; one is at risk when the remaining hours due by its deadline exceed the hours the
+// assignee has available until then. Assignments need `timeEntries` and a populated `assignee`
+// (with `availability` and `location`).
+const deadlineRisks = async (assignments, now = new Date()) => {
+  const open = assignments.filter((assignment) => assignment.deadline && assignment.assignee)
+  if (open.length === 0) return []
+
+  const users = [...new Map(open.map((assignment) => [assignment.assignee._id.toString(), assignment.assignee])).values()]
+  const latest = new Date(Math.max(...open.map((assignment) => assignment.deadline.getTime()), now.getTime()))
+  const away = await unavailableDays(users, now, latest)
+
+  const risks = []
+  users.forEach((user) => {
+    const key = user._id.toString()
+    let due = 0
+
+    open
+      .filter((assignment) => assignment.assignee._id.toString() === key)
+      .sort((a, b) => a.deadline - b.deadline)
+      .forEach((assignment) => {
+        due += remainingHours(assignment)
+        const available = availableHours(user, now, assignment.deadline, away[key])
+
+        if (due > available) {
+          risks.push({
+            assignment: assignment._id,
+            title: assignment.title,
+            project: assignment.project,
+            assignee: { id: user._id, name: `${user.firstName} ${user.lastName}` },
+            deadline: assignment.deadline,
+            remainingHours: round(remainingHours(assignment)),
+            hoursDueByDeadline: round(due),
+            availableHours: round(available),
+            shortfall: round(due - available),
+          })
+        }
+      })
+  })
+
+  return risks.sort((a, b) => b.shortfall - a.shortfall)
+}
+
+// Spread hours evenly over the workdays in [from, to) and add them to the weekly `totals`.
+// Days outside the forecast are dropped; work with no workdays left (overdue) lands in the first week.
+const spreadHours = (hours, from, to, weekIndex, totals) => {
+  const days = workdaysBetween(from, to)
+
+  if (days.length === 0) {
+    totals[0] += hours
+    return
+  }
+
+  days.forEach((day) => {
+    const week = weekIndex(day)
+    if (week !== -1) totals[week] += hours / days.length
+  })
+}
+
+// Weekly supply and demand for active engineers over the next `weeks` weeks (starting this Monday;
+// days of the current week that have already passed are left out).
+// - supply: `availability`, minus approved time off and holidays, pro rata per workday
+// - demand: per project, the larger of the team booking (`teamMembers.hoursPerWeek`) and the remaining
+//   estimate of the engineer's open assignments on it, spread evenly until each deadline
+// Department and skill totals add up their engineers (an engineer counts towards each of their skills).
+// `userIds` limits the forecast to those users (whatever their role); `proposed` adds work that does
+// not exist yet: { user, project, deadline, startDate, estimatedHours } or { user, project, deadline, hoursPerWeek }.
+const forecastCapacity = async ({ weeks = 8, from = new Date(), department, skill, userIds, proposed } = {}) => {
+  const weekCount = Math.min(Math.max(Number.parseInt(weeks) || 8, 1), MAX_FORECAST_WEEKS)
+  const start = weekBounds(from).start
+  const end = new Date(start.getTime() + weekCount * 7 * DAY_MS)
+  const now = new Date(Math.max(start.getTime(), new Date(from).getTime()))
+
+  const weekIndex = (day) => {
+    const index = Math.floor((day.getTime() - start.getTime()) / (7 * DAY_MS))
+    return index >= 0 && index < weekCount ? index : -1
+  }
+
+  const engineerQuery = userIds ? { _id: { $in: userIds }, isActive: true } : { role: "engineer", isActive: true }
+  if (department) engineerQuery.department = department
+  if (skill) engineerQuery.skills = { $in: await canonicalSkillNames([skill]) }
+
+  const engineers = await User.find(engineerQuery).select("firstName lastName department skills availability location")
+  const engineerIds = engineers.map((engineer) => engineer._id)
+
+  const [away, projects, assignments] = await Promise.all([
+    unavailableDays(engineers, start, end),
+    Project.find({
+      status: { $in: ["planning", "active"] },
+      "teamMembers.user": { $in: engineerIds },
+    }).select("name deadline teamMembers"),
+    Assignment.find({
+      assignee: { $in: engineerIds },
+      status: { $in: ["pending", ...ACTIVE_STATUSES] },
+    }).select("project assignee estimatedHours startDate deadline timeEntries"),
+  ])
+
+  const emptyWeeks = () => new Array(weekCount).fill(0)
+  const projectDeadlines = new Map(projects.map((project) => [project._id.toString(), project.deadline]))
+
+  const engineerForecasts = engineers.map((engineer) => {
+    const id = engineer._id.toString()
+    const daysAway = away[id] || new Set()
+
+    const supply = emptyWeeks()
+    for (let week = 0; week < weekCount; week++) {
+      const weekStart = new Date(Math.max(now.getTime(), start.getTime() + week * 7 * DAY_MS))
+      supply[week] = availableHours(engineer, weekStart, new Date(start.getTime() + (week + 1) * 7 * DAY_MS), daysAway)
+    }
+
+    // Demand per project, booking vs. remaining work
+    const byProject = {}
+    const projectDemand = (projectId) => {
+      byProject[projectId] = byProject[projectId] || { booked: emptyWeeks(), work: emptyWeeks() }
+      return byProject[projectId]
+    }
+
+    const book = (projectId, hoursPerWeek, from, deadline) => {
+      const bookingStart = new Date(Math.max(now.getTime(), new Date(from || now).getTime()))
+      const bookingEnd = new Date(Math.min(end.getTime(), new Date(deadline).getTime()))
+      const demand = projectDemand(projectId)
+      workdaysBetween(bookingStart, bookingEnd).forEach((day) => {
+        demand.booked[weekIndex(day)] += hoursPerWeek / WORKDAYS_PER_WEEK
+      })
+    }
+
+    projects.forEach((project) => {
+      project.teamMembers
+        .filter((member) => member.user.toString() === id)
+        .forEach((member) => book(project._id.toString(), member.hoursPerWeek, member.joinedAt, project.deadline))
+    })
+
+    if (proposed && proposed.user.toString() === id) {
+      const projectId = proposed.project.toString()
+      if (proposed.hoursPerWeek) {
+        book(projectId, proposed.hoursPerWeek, now, proposed.deadline)
+      }
+      if (proposed.estimatedHours) {
+        const workStart = new Date(Math.max(now.getTime(), new Date(proposed.startDate || now).getTime()))
+        spreadHours(proposed.estimatedHours, workStart, proposed.deadline, weekIndex, projectDemand(projectId).work)
+      }
+    }
+
+    assignments
+      .filter((assignment) => assignment.assignee.toString() === id)
+      .forEach((assignment) => {
+        const remaining = remainingHours(assignment)
+        if (remaining === 0) return
+
+        const projectId = assignment.project.toString()
+        const workStart = new Date(Math.max(now.getTime(), new Date(assignment.startDate || now).getTime()))
+        const deadline = assignment.deadline || projectDeadlines.get(projectId) || end
+        spreadHours(remaining, workStart, deadline, weekIndex, projectDemand(projectId).work)
+      })
+
+    const demand = emptyWeeks()
+    Object.values(byProject).forEach(({ booked, work }) => {
+      for (let week = 0; week < weekCount; week++) {
+        demand[week] += Math.max(booked[week], work[week])
+      }
+    })
+
+    return {
+      engineer: {
+        id: engineer._id,
+        name: `${engineer.firstName} ${engineer.lastName}`,
+        department: engineer.department,
+        skills: engineer.skills,
+        availability: engineer.availability,
+      },
+      supply,
+      demand,
+    }
+  })
+
+  const weekRanges = Array.from({ length: weekCount }, (_, week) => ({
+    weekStart: new Date(start.getTime() + week * 7 * DAY_MS),
+    weekEnd: new Date(start.getTime() + (week + 1) * 7 * DAY_MS),
+  }))
+
+  const describeWeeks = (supply, demand) =>
+    weekRanges.map((range, week) => ({
+      ...range,
+      supply: round(supply[week]),
+      demand: round(demand[week]),
+      free: round(supply[week] - demand[week]),
+      utilization: supply[week] > 0 ? Math.round((demand[week] / supply[week]) * 100) : null,
+      overAllocated: demand[week] > supply[week],
+    }))
+
+  const groupBy = (keysOf) => {
+    const groups = {}
+    engineerForecasts.forEach((forecast) => {
+      keysOf(forecast).forEach((key) => {
+        const group = groups[key] || { supply: emptyWeeks(), demand: emptyWeeks(), headcount: 0 }
+        for (let week = 0; week < weekCount; week++) {
+          group.supply[week] += forecast.supply[week]
+          group.demand[week] += forecast.demand[week]
+        }
+        group.headcount += 1
+        groups[key] = group
+      })
+    })
+    return Object.entries(groups)
+      .map(([name, group]) => ({ name, headcount: group.headcount, weeks: describeWeeks(group.supply, group.demand) }))
+      .sort((a, b) => a.name.localeCompare(b.name))
+  }
+
+  const engineersOut = engineerForecasts.map((forecast) => ({
+    ...forecast.engineer,
+    weeks: describeWeeks(forecast.supply, forecast.demand),
+  }))
+
+  const overAllocations = []
+  engineersOut.forEach((engineer) => {
+    engineer.weeks
+      .filter((week) => week.overAllocated)
+      .forEach((week) => {
+        overAllocations.push({
+          engineer: { id: engineer.id, name: engineer.name, department: engineer.department },
+          weekStart: week.weekStart,
+          supply: week.supply,
+          demand: week.demand,
+          excess: round(week.demand - week.supply),
+        })
+      })
+  })
+
+  return {
+    from: start,
+    to: end,
+    weeks: weekRanges,
+    departments: groupBy((forecast) => [forecast.engineer.department]),
+    skills: groupBy((forecast) => [...new Set(forecast.engineer.skills)]),
+    engineers: engineersOut,
+    overAllocations: overAllocations.sort((a, b) => b.excess - a.excess),
+  }
+}
+
+const capacityCheckMode = () => {
+  const mode = (process.env.CAPACITY_CHECK_MODE || "warn").toLowerCase()
+  return ["warn", "block", "off"].includes(mode) ? mode : "warn"
+}
+
+// Would `proposed` work (see forecastCapacity) over-allocate its user in any week until its deadline?
+// Returns the over-allocated weeks and the user's open assignments running during them.
+const checkAllocation = async (proposed, { from = new Date() } = {}) => {
+  const weeksUntilDeadline = Math.ceil((new Date(proposed.deadline).getTime() - weekBounds(from).start.getTime()) / (7 * DAY_MS))
+  const weeks = Math.min(Math.max(weeksUntilDeadline, 1), MAX_FORECAST_WEEKS)
+
+  const forecast = await forecastCapacity({ weeks, from, userIds: [proposed.user], proposed })
+  const [user] = forecast.engineers
+  const overAllocatedWeeks = user ? user.weeks.filter((week) => week.overAllocated) : []
+
+  if (overAllocatedWeeks.length === 0) {
+    return { overAllocated: false, weeks: [], conflicts: [] }
+  }
+
+  const firstWeek = overAllocatedWeeks[0].weekStart
+  const lastWeek = overAllocatedWeeks[overAllocatedWeeks.length - 1].weekEnd
+
+  const conflicts = await Assignment.find({
+    assignee: proposed.user,
+    status: { $in: ["pending", ...ACTIVE_STATUSES] },
+    startDate: { $lt: lastWeek },
+    deadline: { $gte: firstWeek },
+  })
+    .select("title project status estimatedHours startDate deadline")
+    .populate("project", "name")
+    .sort({ deadline: 1 })
+
+  return { overAllocated: true, weeks: overAllocatedWeeks, conflicts }
+}
+
+module.exports = {
+  WORKDAYS_PER_WEEK,
+  workdaysBetween,
+  unavailableDays,
+  availableHours,
+  weeklyAvailableHours,
+  remainingHours,
+  deadlineRisks,
+  forecastCapacity,
+  capacityCheckMode,
+  checkAllocation,
+}
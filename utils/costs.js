@@ -0,0 +1,145 @@
+const User = require("../models/User")
+const Assignment = require("../models/Assignment")
+
+const EXPENSE_CATEGORIES = ["software", "hardware", "travel", "contractor", "services", "other"]
+
+const round = (value) => Math.round(value * 100) / 100
+
+const monthKey = (date) => new Date(date).toISOString().slice(0, 7)
+
+// Every cost booked on a project: approved time entries at the logger's cost rate on the entry's date
+// (with what the hours are billed at, if the project has billing rates), and expenses.
+// Entries without a `user` were logged by the assignee.
+const projectCostItems = async (project) => {
+  const assignments = await Assignment.find({ project: project._id, "timeEntries.status": "approved" }).select(
+    "title assignee timeEntries",
+  )
+
+  const labour = assignments.flatMap((assignment) =>
+    assignment.timeEntries
+      .filter((entry) => entry.status === "approved")
+      .map((entry) => ({ assignment, entry, user: (entry.user || assignment.assignee).toString() })),
+  )
+
+  const users = await User.find({ _id: { $in: [...new Set(labour.map((item) => item.user))] } }).select(
+    "firstName lastName hourlyRate rateHistory",
+  )
+
+  return [
+    ...labour.map(({ assignment, entry, user: userId }) => {
+      const user = users.find((u) => u._id.toString() === userId)
+      const rate = user ? user.rateOn(entry.date) : 0
+      const billingRate = project.billingRateOn(userId, entry.date)
+
+      return {
+        type: "labour",
+        date: entry.date,
+        amount: round(entry.hours * rate),
+        hours: entry.hours,
+        rate,
+        billingRate,
+        billed: billingRate === null ? 0 : round(entry.hours * billingRate),
+        user: userId,
+        userName: user ? `${user.firstName} ${user.lastName}` : "Unknown user",
+        assignment: assignment._id,
+        timeEntry: entry._id,
+      }
+    }),
+    ...(project.expenses || []).map((expense) => ({
+      type: "expense",
+      date: expense.date,
+      amount: expense.amount,
+      category: expense.category,
+      description: expense.description,
+      expense: expense._id,
+    })),
+  ]
+}
+
+const totals = (items) => {
+  const labour = items.filter((item) => item.type === "labour")
+  const expenses = items.filter((item) => item.type === "expense")
+
+  return {
+    hours: round(labour.reduce((sum, item) => sum + item.hours, 0)),
+    billableHours: round(labour.filter((item) => item.billingRate !== null).reduce((sum, item) => sum + item.hours, 0)),
+    billed: round(labour.reduce((sum, item) => sum + item.billed, 0)),
+    labour: round(labour.reduce((sum, item) => sum + item.amount, 0)),
+    expenses: round(expenses.reduce((sum, item) => sum + item.amount, 0)),
+    total: round(items.reduce((sum, item) => sum + item.amount, 0)),
+  }
+}
+
+// Total cost of a project (what budgetUsed holds)
+const projectCost = async (project) => totals(await projectCostItems(project)).total
+
+// Project cost split per engineer, per month and per expense category
+const costBreakdown = async (project) => {
+  const items = await projectCostItems(project)
+  const summary = totals(items)
+
+  const byEngineer = Object.values(
+    items
+      .filter((item) => item.type === "labour")
+      .reduce((groups, item) => {
+        const group = groups[item.user] || { user: item.user, name: item.userName, hours: 0, cost: 0, billed: 0 }
+        group.hours += item.hours
+        group.cost += item.amount
+        group.billed += item.billed
+        return { ...groups, [item.user]: group }
+      }, {}),
+  )
+    .map((group) => ({ ...group, hours: round(group.hours), cost: round(group.cost), billed: round(group.billed) }))
+    .sort((a, b) => b.cost - a.cost)
+
+  const byMonth = Object.values(
+    items.reduce((groups, item) => {
+      const month = monthKey(item.date)
+      const group = groups[month] || { month, hours: 0, labour: 0, expenses: 0, total: 0, billed: 0 }
+      if (item.type === "labour") {
+        group.hours += item.hours
+        group.labour += item.amount
+        group.billed += item.billed
+      } else {
+        group.expenses += item.amount
+      }
+      group.total += item.amount
+      return { ...groups, [month]: group }
+    }, {}),
+  )
+    .map((group) => ({
+      month: group.month,
+      hours: round(group.hours),
+      labour: round(group.labour),
+      expenses: round(group.expenses),
+      total: round(group.total),
+      billed: round(group.billed),
+    }))
+    .sort((a, b) => a.month.localeCompare(b.month))
+
+  const byCategory = EXPENSE_CATEGORIES.map((category) => ({
+    category,
+    amount: round(
+      items.filter((item) => item.type === "expense" && item.category === category).reduce((sum, item) => sum + item.amount, 0),
+    ),
+  })).filter((group) => group.amount > 0)
+
+  return {
+    budget: project.budget,
+    ...summary,
+    budgetRemaining: round(project.budget - summary.total),
+    budgetUtilization: project.budget > 0 ? round((summary.total / project.budget) * 100) : 0,
+    // Billed labour minus its cost
+    labourMargin: round(summary.billed - summary.labour),
+    byEngineer,
+    byMonth,
+    byCategory,
+  }
+}
+
+module.exports = {
+  EXPENSE_CATEGORIES,
+  projectCostItems,
+  projectCost,
+  costBreakdown,
+}
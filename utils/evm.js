@@ -0,0 +1,128 @@
+const Assignment = require("../models/Assignment")
+const { projectCostItems } = require("./costs")
+
+// CPI or SPI below this flags a project as over budget or behind schedule
+const EVM_INDEX_THRESHOLD = 0.9
+
+const round = (value) => Math.round(value * 100) / 100
+
+const index = (numerator, denominator) => (denominator > 0 ? round(numerator / denominator) : null)
+
+const elapsed = (start, end, now) => {
+  const span = new Date(end).getTime() - new Date(start).getTime()
+  if (span <= 0) return now >= new Date(end) ? 1 : 0
+  return Math.min(Math.max((now.getTime() - new Date(start).getTime()) / span, 0), 1)
+}
+
+// Share of the work planned to be done by `now`, from the best schedule the project has:
+// - "assignments": estimated hours of each assignment spread evenly from its start date to its deadline
+// - "milestones": each milestone an equal share, spread from the previous due date (or project start)
+// - "timeline": evenly from the project's creation to its deadline
+const plannedPercent = (project, assignments, now = new Date()) => {
+  const estimated = assignments.filter((assignment) => assignment.estimatedHours > 0 && assignment.deadline)
+  const totalHours = estimated.reduce((sum, assignment) => sum + assignment.estimatedHours, 0)
+
+  if (totalHours > 0) {
+    const planned = estimated.reduce(
+      (sum, assignment) =>
+        sum + assignment.estimatedHours * elapsed(assignment.startDate || assignment.createdAt, assignment.deadline, now),
+      0,
+    )
+    return { percent: (planned / totalHours) * 100, source: "assignments" }
+  }
+
+  const milestones = (project.milestones || [])
+    .filter((milestone) => milestone.dueDate)
+    .sort((a, b) => a.dueDate - b.dueDate)
+
+  if (milestones.length > 0) {
+    let previous = project.createdAt || now
+    const planned = milestones.reduce((sum, milestone) => {
+      const share = elapsed(previous, milestone.dueDate, now)
+      previous = milestone.dueDate
+      return sum + share
+    }, 0)
+    return { percent: (planned / milestones.length) * 100, source: "milestones" }
+  }
+
+  return { percent: elapsed(project.createdAt || now, project.deadline, now) * 100, source: "timeline" }
+}
+
+// Earned value figures for a project. BAC is the budget; PV the budget share planned by now; EV the
+// budget share earned by its progress; AC what has been spent (approved time and expenses, as in budgetUsed).
+const projectEvm = async (project, { now = new Date() } = {}) => {
+  const [assignments, costItems] = await Promise.all([
+    Assignment.find({ project: project._id, status: { $ne: "cancelled" } }).select(
+      "estimatedHours startDate deadline createdAt",
+    ),
+    projectCostItems(project),
+  ])
+
+  const bac = project.budget || 0
+  const planned = plannedPercent(project, assignments, now)
+  const pv = (bac * planned.percent) / 100
+  const ev = (bac * (project.progress || 0)) / 100
+  const ac = costItems.reduce((sum, item) => sum + item.amount, 0)
+
+  const cpi = index(ev, ac)
+  const spi = index(ev, pv)
+
+  // EAC = BAC / CPI. Without spend there is no cost performance yet, so the forecast stays at the budget;
+  // spend without earned value adds the whole budget on top.
+  let eac = bac
+  if (ac > 0) eac = ev > 0 ? (bac * ac) / ev : ac + bac
+
+  const issues = []
+  if (cpi !== null && cpi < EVM_INDEX_THRESHOLD) issues.push("over budget")
+  if (spi !== null && spi < EVM_INDEX_THRESHOLD) issues.push("behind schedule")
+
+  return {
+    project: {
+      id: project._id,
+      name: project.name,
+      status: project.status,
+      deadline: project.deadline,
+      manager: project.manager,
+    },
+    progress: project.progress || 0,
+    plannedPercent: round(planned.percent),
+    plannedValueSource: planned.source,
+    bac: round(bac),
+    pv: round(pv),
+    ev: round(ev),
+    ac: round(ac),
+    cv: round(ev - ac),
+    sv: round(ev - pv),
+    cpi,
+    spi,
+    eac: round(eac),
+    etc: round(Math.max(eac - ac, 0)),
+    vac: round(bac - eac),
+    inTrouble: issues.length > 0,
+    issues,
+  }
+}
+
+// Portfolio totals; indices are computed from the summed values, not averaged
+const portfolioEvm = (results) => {
+  const sum = (field) => round(results.reduce((total, result) => total + result[field], 0))
+  const totals = { bac: sum("bac"), pv: sum("pv"), ev: sum("ev"), ac: sum("ac"), eac: sum("eac") }
+
+  return {
+    projects: results.length,
+    projectsInTrouble: results.filter((result) => result.inTrouble).length,
+    ...totals,
+    cv: round(totals.ev - totals.ac),
+    sv: round(totals.ev - totals.pv),
+    cpi: index(totals.ev, totals.ac),
+    spi: index(totals.ev, totals.pv),
+    vac: round(totals.bac - totals.eac),
+  }
+}
+
+module.exports = {
+  EVM_INDEX_THRESHOLD,
+  plannedPercent,
+  projectEvm,
+  portfolioEvm,
+}
@@ -0,0 +1,67 @@
+const User = require("../models/User")
+const Invitation = require("../models/Invitation")
+const { sendMail } = require("./mailer")
+const { can } = require("./policy")
+
+const inviteError = (message, statusCode) => {
+  const error = new Error(message)
+  error.statusCode = statusCode
+  return error
+}
+
+// Email the invitee a link containing a freshly signed token
+const sendInvitation = async (invitation, inviter) => {
+  const token = invitation.issueToken()
+  await invitation.save()
+
+  const acceptUrl = `${process.env.FRONTEND_URL || "http://localhost:3000"}/accept-invite/${token}`
+  const greeting = invitation.firstName ? `Hi ${invitation.firstName},` : "Hi,"
+
+  await sendMail({
+    to: invitation.email,
+    subject: "You have been invited to the Engineering Resource Management System",
+    text: `${greeting}\n\n${inviter.firstName} ${inviter.lastName} invited you to join as ${invitation.role} (${invitation.department}).\n\nSet your password and activate your account here:\n${acceptUrl}\n\nThis link expires on ${invitation.expiresAt.toDateString()}.`,
+  })
+
+  return invitation
+}
+
+// Create and send an invitation. Inviting anyone but an engineer needs "invitation:create-privileged".
+const createInvitation = async (fields, inviter) => {
+  const role = fields.role || "engineer"
+
+  if (role !== "engineer" && !can(inviter, "invitation:create-privileged")) {
+    throw inviteError("Only admins can invite managers or admins", 403)
+  }
+
+  if (!fields.email) {
+    throw inviteError("Email is required", 400)
+  }
+
+  const email = fields.email.toLowerCase()
+
+  const existingUser = await User.findOne({ email })
+  if (existingUser) {
+    throw inviteError("User already exists with this email", 400)
+  }
+
+  // Replace any outstanding invitation for the same address
+  await Invitation.updateMany({ email, status: "pending" }, { status: "revoked" })
+
+  const invitation = new Invitation({
+    email,
+    firstName: fields.firstName,
+    lastName: fields.lastName,
+    role,
+    department: fields.department,
+    profile: fields.profile || {},
+    invitedBy: inviter._id,
+  })
+
+  return sendInvitation(invitation, inviter)
+}
+
+module.exports = {
+  createInvitation,
+  sendInvitation,
+}
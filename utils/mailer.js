@@ -0,0 +1,52 @@
+const fs = require("fs")
+const path = require("path")
+
+// Transports receive { to, subject, text } and return a promise.
+// Register a real provider (SMTP, SES, ...) with registerTransport and select it with MAIL_TRANSPORT.
+const transports = {
+  console: async (message) => {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`)
+  },
+  file: async (message) => {
+    const dir = process.env.MAIL_DIR || path.join(__dirname, "..", "logs", "mail")
+    await fs.promises.mkdir(dir, { recursive: true })
+
+    const filename = `${Date.now()}-${message.to.replace(/[^\w.@-]/g, "_")}.txt`
+    const contents = `From: ${message.from}\nTo: ${message.to}\nSubject: ${message.subject}\n\n${message.text}\n`
+    await fs.promises.writeFile(path.join(dir, filename), contents)
+  },
+}
+
+const registerTransport = (name, transport) => {
+  transports[name] = transport
+}
+
+// The console transport prints reset and invitation links, so it is only the default in development
+const transportName = () =>
+  process.env.MAIL_TRANSPORT || (["development", "test"].includes(process.env.NODE_ENV) ? "console" : null)
+
+const sendMail = async ({ to, subject, text }) => {
+  const name = transportName()
+
+  if (!name) {
+    throw new Error("MAIL_TRANSPORT must be set outside development")
+  }
+
+  const transport = transports[name]
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport '${name}'`)
+  }
+
+  await transport({
+    from: process.env.MAIL_FROM || "no-reply@company.com",
+    to,
+    subject,
+    text,
+  })
+}
+
+module.exports = {
+  sendMail,
+  registerTransport,
+}
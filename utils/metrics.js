@@ -0,0 +1,183 @@
+const Assignment = require("../models/Assignment")
+const { ACTIVE_STATUSES } = require("./workflow")
+const MetricSnapshot = require("../models/MetricSnapshot")
+const { DAY_MS, entriesForUser } = require("./timesheets")
+
+const windowDays = () => Number.parseInt(process.env.METRICS_WINDOW_DAYS) || 28
+
+const startOfDay = (date) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()))
+
+const hasOverride = (user, now = new Date()) => {
+  const override = user.metricsOverride
+  return Boolean(override && override.setAt && (!override.expiresAt || override.expiresAt > now))
+}
+
+const percentage = (part, whole) => (whole > 0 ? Math.round((part / whole) * 100) : 0)
+
+// Estimated vs. approved hours on assignments matching `query` completed between `from` and `now`
+const completionEfficiency = async (query, from, now) => {
+  const completed = await Assignment.find({
+    ...query,
+    status: "completed",
+    completedAt: { $gte: from, $lte: now },
+    estimatedHours: { $gt: 0 },
+  }).select("estimatedHours actualHours")
+
+  if (completed.length === 0) return null
+
+  const estimated = completed.reduce((total, assignment) => total + assignment.estimatedHours, 0)
+  const actual = completed.reduce((total, assignment) => total + (assignment.actualHours || 0), 0)
+  return percentage(estimated, Math.max(actual, estimated))
+}
+
+// Metrics for the `days` before `now`:
+// - utilization: approved hours as a percentage of weekly availability over the window
+// - efficiency: estimated vs. approved hours on assignments completed in the window (100 = on or under estimate),
+//   or null when nothing was completed
+const computeEngineerMetrics = async (user, { now = new Date(), days = windowDays() } = {}) => {
+  const from = new Date(now.getTime() - days * DAY_MS)
+
+  const entries = await entriesForUser(user._id, from, now)
+  const approvedHours = entries
+    .filter((entry) => entry.status === "approved")
+    .reduce((total, entry) => total + entry.hours, 0)
+  const availableHours = (user.availability || 0) * (days / 7)
+
+  return {
+    windowDays: days,
+    approvedHours,
+    availableHours,
+    utilization: percentage(approvedHours, availableHours),
+    efficiency: await completionEfficiency({ assignee: user._id }, from, now),
+  }
+}
+
+// Same window for a project: approved hours logged on it against the team's weekly hours
+const computeProjectMetrics = async (project, { now = new Date(), days = windowDays() } = {}) => {
+  const from = new Date(now.getTime() - days * DAY_MS)
+
+  const [logged] = await Assignment.aggregate([
+    { $match: { project: project._id } },
+    { $unwind: "$timeEntries" },
+    { $match: { "timeEntries.status": "approved", "timeEntries.date": { $gte: from, $lt: now } } },
+    { $group: { _id: null, hours: { $sum: "$timeEntries.hours" } } },
+  ])
+
+  const approvedHours = logged ? logged.hours : 0
+  const weeklyHours = project.teamMembers.reduce((total, member) => total + (member.hoursPerWeek || 0), 0)
+  const availableHours = weeklyHours * (days / 7)
+
+  return {
+    windowDays: days,
+    approvedHours,
+    availableHours,
+    utilization: percentage(approvedHours, availableHours),
+    efficiency: await completionEfficiency({ project: project._id }, from, now),
+    headcount: project.teamMembers.length,
+    progress: project.progress,
+    budgetUsed: project.budgetUsed,
+    activeAssignments: await Assignment.countDocuments({ project: project._id, status: { $in: ACTIVE_STATUSES } }),
+  }
+}
+
+// Roll engineer results ({ department, metrics }) up per department.
+// Utilization is pooled hours over pooled availability, efficiency the mean of engineers that have one.
+const departmentMetrics = (results) => {
+  const departments = {}
+
+  for (const { department, metrics } of results) {
+    const entry = departments[department] || { approvedHours: 0, availableHours: 0, headcount: 0, efficiencies: [] }
+    entry.approvedHours += metrics.approvedHours
+    entry.availableHours += metrics.availableHours
+    entry.headcount += 1
+    if (metrics.efficiency !== null && metrics.efficiency !== undefined) {
+      entry.efficiencies.push(metrics.efficiency)
+    }
+    entry.windowDays = metrics.windowDays
+    departments[department] = entry
+  }
+
+  return Object.entries(departments).map(([department, entry]) => ({
+    department,
+    metrics: {
+      windowDays: entry.windowDays,
+      approvedHours: entry.approvedHours,
+      availableHours: entry.availableHours,
+      utilization: percentage(entry.approvedHours, entry.availableHours),
+      efficiency:
+        entry.efficiencies.length > 0
+          ? Math.round(entry.efficiencies.reduce((total, value) => total + value, 0) / entry.efficiencies.length)
+          : null,
+      headcount: entry.headcount,
+    },
+  }))
+}
+
+// Recompute and store a user's metrics, unless a manual override is in effect.
+// Efficiency keeps its previous value when nothing was completed in the window.
+const refreshEngineerMetrics = async (user, options = {}) => {
+  const metrics = await computeEngineerMetrics(user, options)
+  const overridden = hasOverride(user, options.now)
+
+  if (overridden) {
+    user.utilization = user.metricsOverride.utilization ?? user.utilization
+    user.efficiency = user.metricsOverride.efficiency ?? user.efficiency
+  } else {
+    user.utilization = metrics.utilization
+    if (metrics.efficiency !== null) {
+      user.efficiency = metrics.efficiency
+    }
+  }
+
+  user.metricsComputedAt = options.now || new Date()
+  await user.save({ validateModifiedOnly: true })
+
+  return { ...metrics, overridden, utilization: user.utilization, efficiency: user.efficiency }
+}
+
+// Store (or replace) today's snapshot for a subject, e.g. { scope: "project", project: id }
+const SNAPSHOT_FIELDS = [
+  "windowDays",
+  "utilization",
+  "efficiency",
+  "approvedHours",
+  "availableHours",
+  "headcount",
+  "progress",
+  "budgetUsed",
+  "activeAssignments",
+]
+
+const saveSnapshot = (subject, metrics, now = new Date()) => {
+  const values = { overridden: Boolean(metrics.overridden) }
+  SNAPSHOT_FIELDS.filter((field) => metrics[field] !== undefined).forEach((field) => {
+    values[field] = metrics[field]
+  })
+
+  return MetricSnapshot.findOneAndUpdate(
+    { user: null, department: null, project: null, ...subject, date: startOfDay(now) },
+    values,
+    { upsert: true, new: true, setDefaultsOnInsert: true },
+  )
+}
+
+const snapshotEngineerMetrics = (user, metrics, { now } = {}) =>
+  saveSnapshot({ scope: "engineer", user: user._id }, metrics, now)
+
+const snapshotDepartmentMetrics = (department, metrics, { now } = {}) =>
+  saveSnapshot({ scope: "department", department }, metrics, now)
+
+const snapshotProjectMetrics = (project, metrics, { now } = {}) =>
+  saveSnapshot({ scope: "project", project: project._id }, metrics, now)
+
+module.exports = {
+  windowDays,
+  hasOverride,
+  computeEngineerMetrics,
+  refreshEngineerMetrics,
+  computeProjectMetrics,
+  departmentMetrics,
+  snapshotEngineerMetrics,
+  snapshotDepartmentMetrics,
+  snapshotProjectMetrics,
+}
@@ -0,0 +1,55 @@
+const Notification = require("../models/Notification")
+const User = require("../models/User")
+const { sendMail } = require("./mailer")
+
+// Channels receive the recipients (active users with their email) and { type, title, message, entity, entityId, data }.
+// Register more (Slack, webhooks, ...) with registerChannel and enable them in NOTIFICATION_CHANNELS.
+const channels = {
+  "in-app": async (users, notification) => {
+    await Notification.insertMany(users.map((user) => ({ ...notification, user: user._id })))
+  },
+  email: async (users, notification) => {
+    for (const user of users) {
+      await sendMail({ to: user.email, subject: notification.title, text: notification.message })
+    }
+  },
+}
+
+const registerChannel = (name, channel) => {
+  channels[name] = channel
+}
+
+const enabledChannels = () =>
+  (process.env.NOTIFICATION_CHANNELS || "in-app,email")
+    .split(",")
+    .map((name) => name.trim())
+    .filter(Boolean)
+
+// Send a notification to users through every enabled channel. A failing channel is logged and does not
+// stop the others, so callers never fail because of a notification.
+const notify = async (userIds, notification) => {
+  const ids = [...new Set(userIds.filter(Boolean).map((id) => id.toString()))]
+  const users = await User.find({ _id: { $in: ids }, isActive: true }).select("email firstName lastName")
+
+  if (users.length === 0) return
+
+  for (const name of enabledChannels()) {
+    const channel = channels[name]
+
+    if (!channel) {
+      console.error(`Unknown notification channel '${name}'`)
+      continue
+    }
+
+    try {
+      await channel(users, notification)
+    } catch (error) {
+      console.error(`Notification channel '${name}' error:`, error)
+    }
+  }
+}
+
+module.exports = {
+  notify,
+  registerChannel,
+}
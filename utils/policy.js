@@ -0,0 +1,83 @@
+const fs = require("fs")
+const defaultPermissions = require("../config/permissions")
+
+// Load the role-to-permission mapping, letting PERMISSIONS_CONFIG replace individual roles
+const loadPermissions = () => {
+  const mapping = { ...defaultPermissions }
+
+  if (process.env.PERMISSIONS_CONFIG) {
+    const overrides = JSON.parse(fs.readFileSync(process.env.PERMISSIONS_CONFIG, "utf8"))
+    Object.assign(mapping, overrides)
+  }
+
+  return Object.fromEntries(Object.entries(mapping).map(([role, permissions]) => [role, new Set(permissions)]))
+}
+
+const rolePermissions = loadPermissions()
+
+const idOf = (value) => {
+  if (!value) return undefined
+  return (value._id || value).toString()
+}
+
+const sameId = (a, b) => {
+  const left = idOf(a)
+  return !!left && left === idOf(b)
+}
+
+// Resource belongs to the user: their own record, something assigned to or created for them,
+// an invitation they sent, or a project they are a member of
+const owns = (user, resource) =>
+  sameId(resource, user) ||
+  sameId(resource.assignee, user) ||
+  sameId(resource.user, user) ||
+  sameId(resource.invitedBy, user) ||
+  (Array.isArray(resource.teamMembers) && resource.teamMembers.some((member) => sameId(member.user, user)))
+
+// Resource is, or belongs to, a project the user manages
+const manages = (user, resource) =>
+  sameId(resource.manager, user) ||
+  sameId(resource.assignedBy, user) ||
+  (!!resource.project && sameId(resource.project.manager, user))
+
+// Broadest scope in which the user holds a permission: "all", "managed", "own" or null
+const accessScope = (user, action) => {
+  const granted = rolePermissions[user.role] || new Set()
+
+  if (granted.has(action)) return "all"
+  if (granted.has(`${action}:managed`)) return "managed"
+  if (granted.has(`${action}:own`)) return "own"
+  return null
+}
+
+// Check whether a user may perform an action, optionally on a specific resource.
+// Scoped permissions only apply when a resource is given and matches the scope.
+const can = (user, action, resource) => {
+  const granted = rolePermissions[user.role] || new Set()
+
+  if (granted.has(action)) return true
+  if (!resource) return false
+
+  if (granted.has(`${action}:managed`) && manages(user, resource)) return true
+  if (granted.has(`${action}:own`) && owns(user, resource)) return true
+
+  return false
+}
+
+// Strip fields the viewer may not see from a user document
+const redactUser = (viewer, user) => {
+  const data = typeof user.toObject === "function" ? user.toObject() : { ...user }
+
+  if (!can(viewer, "user:view-rate", user)) {
+    delete data.hourlyRate
+    delete data.rateHistory
+  }
+
+  return data
+}
+
+module.exports = {
+  can,
+  accessScope,
+  redactUser,
+}
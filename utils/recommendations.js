@@ -0,0 +1,189 @@
+const User = require("../models/User")
+const Project = require("../models/Project")
+const Assignment = require("../models/Assignment")
+const { ACTIVE_STATUSES } = require("./workflow")
+const { DAY_MS, weekBounds } = require("./timesheets")
+const { forecastCapacity } = require("./capacity")
+const { canonicalSkillNames } = require("./skills")
+
+const EXPERIENCE_LEVELS = ["junior", "mid", "senior", "lead", "principal"]
+
+// Relative weight of each score in the total (sums to 1)
+const WEIGHTS = {
+  skills: 0.35,
+  capacity: 0.3,
+  experience: 0.1,
+  efficiency: 0.15,
+  context: 0.1,
+}
+
+const MAX_WEEKS = 52
+const DEFAULT_WEEKS = 4
+
+const scoreSkills = (engineer, required) => {
+  if (required.length === 0) {
+    return { score: 100, explanation: "No skills required" }
+  }
+
+  const skills = engineer.skills.map((skill) => skill.toLowerCase())
+  const matched = required.filter((skill) => skills.includes(skill))
+  const missing = required.filter((skill) => !skills.includes(skill))
+
+  return {
+    score: Math.round((matched.length / required.length) * 100),
+    explanation:
+      `Has ${matched.length} of ${required.length} required skills` +
+      (matched.length > 0 ? ` (${matched.join(", ")})` : "") +
+      (missing.length > 0 ? `; missing ${missing.join(", ")}` : ""),
+  }
+}
+
+const scoreCapacity = (freeHours, estimatedHours, weeks) => {
+  const period = `in the ${weeks} week(s) until the deadline`
+
+  if (!estimatedHours) {
+    return { score: freeHours > 0 ? 100 : 0, explanation: `${freeHours}h free ${period}` }
+  }
+
+  return {
+    score: Math.round(Math.min(freeHours / estimatedHours, 1) * 100),
+    explanation: `${freeHours}h free ${period} for ${estimatedHours}h of work`,
+  }
+}
+
+const scoreExperience = (engineer, level) => {
+  if (!level) {
+    return { score: 100, explanation: "No experience level required" }
+  }
+
+  const gap = EXPERIENCE_LEVELS.indexOf(level) - EXPERIENCE_LEVELS.indexOf(engineer.experienceLevel)
+
+  if (gap <= 0) {
+    return { score: 100, explanation: `${engineer.experienceLevel} meets the ${level} requirement` }
+  }
+
+  return {
+    score: gap === 1 ? 50 : 0,
+    explanation: `${engineer.experienceLevel} is ${gap} level(s) below ${level}`,
+  }
+}
+
+// Efficiency is computed by utils/metrics.js; engineers it has not run for yet get a neutral score
+const scoreEfficiency = (engineer) => {
+  if (!engineer.metricsComputedAt) {
+    return { score: 50, explanation: "No efficiency history yet" }
+  }
+
+  return {
+    score: Math.round(engineer.efficiency || 0),
+    explanation: `${Math.round(engineer.efficiency || 0)}% efficiency (estimated vs. actual hours on recently completed work)`,
+  }
+}
+
+// Being on the project already helps; juggling many other projects does not
+const scoreContext = (engineer, project, activeProjectIds) => {
+  const otherProjects = activeProjectIds.filter((id) => !project || id !== project._id.toString()).length
+  const others = `${otherProjects} other active project(s)`
+
+  if (project && project.teamMembers.some((member) => member.user.toString() === engineer._id.toString())) {
+    return { score: 100, explanation: `Already on the ${project.name} team; ${others}` }
+  }
+
+  if (project && activeProjectIds.includes(project._id.toString())) {
+    return { score: 90, explanation: `Already has work on ${project.name}; ${others}` }
+  }
+
+  return {
+    score: Math.max(0, 80 - otherProjects * 20),
+    explanation: project ? `New to ${project.name}; ${others}` : `Working on ${otherProjects} active project(s)`,
+  }
+}
+
+// Rank active engineers for a piece of work. Each engineer gets a 0-100 score per criterion with an
+// explanation, and a weighted total (see WEIGHTS).
+const recommendEngineers = async ({
+  skills = [],
+  experienceLevel,
+  estimatedHours,
+  deadline,
+  project: projectId,
+  department,
+  limit = 10,
+  from = new Date(),
+} = {}) => {
+  const required = [...new Set((await canonicalSkillNames(skills)).map((skill) => skill.toLowerCase()))]
+  const hours = Number.parseFloat(estimatedHours) || 0
+
+  const weeks = deadline
+    ? Math.min(
+        Math.max(Math.ceil((new Date(deadline).getTime() - weekBounds(from).start.getTime()) / (7 * DAY_MS)), 1),
+        MAX_WEEKS,
+      )
+    : DEFAULT_WEEKS
+
+  const query = { role: "engineer", isActive: true }
+  if (department) query.department = department
+
+  const [engineers, project] = await Promise.all([
+    User.find(query).select("firstName lastName email department skills experienceLevel availability efficiency metricsComputedAt"),
+    projectId ? Project.findById(projectId).select("name teamMembers") : null,
+  ])
+  const engineerIds = engineers.map((engineer) => engineer._id)
+
+  const [forecast, activeAssignments] = await Promise.all([
+    forecastCapacity({ weeks, from, userIds: engineerIds }),
+    Assignment.find({ assignee: { $in: engineerIds }, status: { $in: ACTIVE_STATUSES } }).select("assignee project"),
+  ])
+
+  const freeHours = new Map(
+    forecast.engineers.map((engineer) => [
+      engineer.id.toString(),
+      Math.round(engineer.weeks.reduce((total, week) => total + Math.max(week.free, 0), 0) * 100) / 100,
+    ]),
+  )
+
+  const recommendations = engineers.map((engineer) => {
+    const id = engineer._id.toString()
+    const activeProjectIds = [
+      ...new Set(
+        activeAssignments
+          .filter((assignment) => assignment.assignee.toString() === id)
+          .map((assignment) => assignment.project.toString()),
+      ),
+    ]
+
+    const scores = {
+      skills: scoreSkills(engineer, required),
+      capacity: scoreCapacity(freeHours.get(id) || 0, hours, weeks),
+      experience: scoreExperience(engineer, experienceLevel),
+      efficiency: scoreEfficiency(engineer),
+      context: scoreContext(engineer, project, activeProjectIds),
+    }
+
+    const score = Math.round(
+      Object.entries(WEIGHTS).reduce((total, [criterion, weight]) => total + scores[criterion].score * weight, 0),
+    )
+
+    return {
+      engineer: {
+        id: engineer._id,
+        name: `${engineer.firstName} ${engineer.lastName}`,
+        email: engineer.email,
+        department: engineer.department,
+        experienceLevel: engineer.experienceLevel,
+        skills: engineer.skills,
+      },
+      score,
+      freeHours: freeHours.get(id) || 0,
+      scores,
+    }
+  })
+
+  return recommendations.sort((a, b) => b.score - a.score).slice(0, Math.max(Number.parseInt(limit) || 10, 1))
+}
+
+module.exports = {
+  EXPERIENCE_LEVELS,
+  WEIGHTS,
+  recommendEngineers,
+}
@@ -0,0 +1,218 @@
+const User = require("../models/User")
+const Project = require("../models/Project")
+const Assignment = require("../models/Assignment")
+const Skill = require("../models/Skill")
+const { ACTIVE_STATUSES } = require("./workflow")
+const { remainingHours } = require("./capacity")
+const { resolveSkills } = require("./skills")
+
+const { skillKey } = Skill
+
+// Order of the per-skill statuses, most urgent first
+const GAP_STATUSES = ["missing", "single-holder", "short", "covered", "unused"]
+
+const round = (value) => Math.round(value * 100) / 100
+
+const fullName = (user) => `${user.firstName} ${user.lastName}`
+
+const gapStatus = (projects, holders) => {
+  if (projects === 0) return "unused"
+  if (holders === 0) return "missing"
+  if (holders === 1) return "single-holder"
+  return holders < projects ? "short" : "covered"
+}
+
+// Skills required by active projects (their `technologies` plus tags of open assignments that name a
+// catalogue skill) against the skills active engineers hold. Returns per-skill demand and supply,
+// projects whose team (members and assignees) lacks a required skill, and skills only one engineer holds.
+const analyzeSkillGaps = async ({ projectQuery = {} } = {}) => {
+  const projects = await Project.find({ ...projectQuery, status: { $in: ["planning", "active"] } })
+    .select("name status priority deadline manager technologies teamMembers")
+    .populate("manager", "firstName lastName")
+  const projectIds = projects.map((project) => project._id)
+
+  const assignments = await Assignment.find({
+    project: { $in: projectIds },
+    status: { $in: ["pending", ...ACTIVE_STATUSES] },
+  }).select("project assignee tags estimatedHours timeEntries")
+
+  const teamIds = [
+    ...projects.flatMap((project) => project.teamMembers.map((member) => member.user)),
+    ...assignments.map((assignment) => assignment.assignee),
+  ]
+  const users = await User.find({ isActive: true, $or: [{ role: "engineer" }, { _id: { $in: teamIds } }] }).select(
+    "firstName lastName role department skills skillProficiencies",
+  )
+  const engineers = users.filter((user) => user.role === "engineer")
+
+  const { skills: catalogue } = await resolveSkills([
+    ...projects.flatMap((project) => project.technologies),
+    ...assignments.flatMap((assignment) => assignment.tags),
+    ...users.flatMap((user) => user.skills),
+  ])
+
+  const catalogueSkill = (name) => {
+    const key = skillKey(name)
+    return catalogue.find((skill) => skill.key === key || skill.aliases.includes(key))
+  }
+
+  // Catalogue skills by key; anything else under its own name
+  const entries = new Map()
+  const entryFor = (name) => {
+    const skill = catalogueSkill(name)
+    const key = skill ? skill.key : skillKey(name)
+
+    if (!entries.has(key)) {
+      entries.set(key, {
+        skill: skill ? skill.name : String(name).trim(),
+        skillId: skill ? skill._id : null,
+        category: skill ? skill.category : null,
+        projects: new Set(),
+        assignments: 0,
+        openHours: 0,
+        holders: [],
+      })
+    }
+    return entries.get(key)
+  }
+
+  // Demand
+  const required = new Map(projects.map((project) => [project._id.toString(), new Set()]))
+
+  projects.forEach((project) => {
+    project.technologies.filter((name) => skillKey(name)).forEach((name) => {
+      const entry = entryFor(name)
+      entry.projects.add(project._id.toString())
+      required.get(project._id.toString()).add(entry)
+    })
+  })
+
+  // Tags are free-form ("bug", "frontend"), so only those naming a catalogue skill count
+  assignments.forEach((assignment) => {
+    assignment.tags.filter(catalogueSkill).forEach((tag) => {
+      const entry = entryFor(tag)
+      entry.projects.add(assignment.project.toString())
+      entry.assignments += 1
+      entry.openHours += remainingHours(assignment)
+      required.get(assignment.project.toString()).add(entry)
+    })
+  })
+
+  // Supply
+  const userSkills = new Map(users.map((user) => [user._id.toString(), new Set(user.skills.map(entryFor))]))
+
+  engineers.forEach((engineer) => {
+    userSkills.get(engineer._id.toString()).forEach((entry) => {
+      const proficiency =
+        entry.skillId && engineer.skillProficiencies.find((p) => entry.skillId.equals(p.skill))
+      entry.holders.push({
+        id: engineer._id,
+        name: fullName(engineer),
+        department: engineer.department,
+        level: proficiency ? proficiency.level : null,
+      })
+    })
+  })
+
+  const projectNames = new Map(projects.map((project) => [project._id.toString(), project.name]))
+
+  const skills = [...entries.values()]
+    .filter((entry) => entry.projects.size > 0 || entry.holders.length > 0)
+    .map((entry) => {
+      const levels = entry.holders.map((holder) => holder.level).filter((level) => level !== null)
+      const byDepartment = {}
+      entry.holders.forEach((holder) => {
+        byDepartment[holder.department] = (byDepartment[holder.department] || 0) + 1
+      })
+
+      return {
+        skill: entry.skill,
+        skillId: entry.skillId,
+        category: entry.category,
+        status: gapStatus(entry.projects.size, entry.holders.length),
+        demand: {
+          projects: entry.projects.size,
+          assignments: entry.assignments,
+          openHours: round(entry.openHours),
+          projectNames: [...entry.projects].map((id) => projectNames.get(id)),
+        },
+        supply: {
+          engineers: entry.holders.length,
+          averageLevel: levels.length > 0 ? round(levels.reduce((sum, level) => sum + level, 0) / levels.length) : null,
+          byDepartment,
+        },
+        shortfall: Math.max(entry.projects.size - entry.holders.length, 0),
+        holders: entry.holders,
+      }
+    })
+    .sort(
+      (a, b) =>
+        GAP_STATUSES.indexOf(a.status) - GAP_STATUSES.indexOf(b.status) ||
+        b.shortfall - a.shortfall ||
+        b.demand.projects - a.demand.projects ||
+        a.skill.localeCompare(b.skill),
+    )
+
+  // Projects whose members and assignees between them lack a required skill
+  const understaffedProjects = projects
+    .map((project) => {
+      const id = project._id.toString()
+      const team = new Set([
+        ...project.teamMembers.map((member) => member.user.toString()),
+        ...assignments
+          .filter((assignment) => assignment.project.toString() === id && assignment.assignee)
+          .map((assignment) => assignment.assignee.toString()),
+      ])
+      const teamSkills = new Set([...team].flatMap((userId) => [...(userSkills.get(userId) || [])]))
+      const missing = [...required.get(id)].filter((entry) => !teamSkills.has(entry))
+
+      return {
+        project: {
+          id: project._id,
+          name: project.name,
+          status: project.status,
+          priority: project.priority,
+          deadline: project.deadline,
+          manager: project.manager,
+        },
+        teamSize: team.size,
+        requiredSkills: [...required.get(id)].map((entry) => entry.skill),
+        missingSkills: missing.map((entry) => ({
+          skill: entry.skill,
+          // Engineers elsewhere who could fill the gap
+          holders: entry.holders.length,
+        })),
+      }
+    })
+    .filter((project) => project.missingSkills.length > 0)
+    .sort((a, b) => b.missingSkills.length - a.missingSkills.length)
+
+  // Skills a single engineer holds; the ones projects need come first
+  const singlePointsOfFailure = skills
+    .filter((skill) => skill.supply.engineers === 1)
+    .map((skill) => ({
+      skill: skill.skill,
+      skillId: skill.skillId,
+      engineer: skill.holders[0],
+      projects: skill.demand.projectNames,
+    }))
+    .sort((a, b) => b.projects.length - a.projects.length)
+
+  return {
+    summary: {
+      activeProjects: projects.length,
+      skillsInDemand: skills.filter((skill) => skill.demand.projects > 0).length,
+      missingSkills: skills.filter((skill) => skill.status === "missing").length,
+      singlePointsOfFailure: singlePointsOfFailure.length,
+      understaffedProjects: understaffedProjects.length,
+    },
+    skills,
+    understaffedProjects,
+    singlePointsOfFailure,
+  }
+}
+
+module.exports = {
+  GAP_STATUSES,
+  analyzeSkillGaps,
+}
@@ -0,0 +1,148 @@
+const Skill = require("../models/Skill")
+
+const { skillKey } = Skill
+
+const MIN_PROFICIENCY = 1
+const MAX_PROFICIENCY = 5
+const DEFAULT_PROFICIENCY = 3
+
+const skillError = (message, statusCode = 400) => {
+  const error = new Error(message)
+  error.statusCode = statusCode
+  return error
+}
+
+const isObjectId = (value) => /^[a-f0-9]{24}$/i.test(String(value))
+
+// Catalogue skills for the given names or ids (names match case-insensitively, aliases included),
+// in order and without duplicates, plus the names that are not in the catalogue
+const resolveSkills = async (values = []) => {
+  const ids = values.filter(isObjectId)
+  const keys = values.filter((value) => !isObjectId(value)).map(skillKey).filter(Boolean)
+
+  const catalogue =
+    ids.length + keys.length > 0
+      ? await Skill.find({ $or: [{ _id: { $in: ids } }, { key: { $in: keys } }, { aliases: { $in: keys } }] })
+      : []
+
+  const skills = []
+  const unknown = []
+
+  values.forEach((value) => {
+    const key = skillKey(value)
+    if (!key) return
+
+    const skill = catalogue.find((s) => s._id.toString() === value.toString() || s.key === key || s.aliases.includes(key))
+
+    if (skill) {
+      if (!skills.some((s) => s._id.equals(skill._id))) skills.push(skill)
+    } else if (!unknown.some((name) => skillKey(name) === key)) {
+      unknown.push(String(value).trim())
+    }
+  })
+
+  return { skills, unknown }
+}
+
+// Names to match User.skills against: canonical names for catalogue skills, anything else as given
+const canonicalSkillNames = async (values) => {
+  const { skills, unknown } = await resolveSkills(values)
+  return [...skills.map((skill) => skill.name), ...unknown]
+}
+
+// User query matching any of the given skills; with minProficiency, only catalogue skills held at that level or above
+const skillQuery = async (values, minProficiency) => {
+  const { skills, unknown } = await resolveSkills(values)
+
+  if (minProficiency) {
+    return {
+      skillProficiencies: {
+        $elemMatch: {
+          skill: { $in: skills.map((skill) => skill._id) },
+          level: { $gte: Number.parseInt(minProficiency) || MIN_PROFICIENCY },
+        },
+      },
+    }
+  }
+
+  return { skills: { $in: [...skills.map((skill) => skill.name), ...unknown] } }
+}
+
+// Reject a name or alias that already belongs to another skill
+const assertNamesFree = async (skill) => {
+  const keys = [skillKey(skill.name), ...skill.aliases.map(skillKey)]
+  const clash = await Skill.findOne({
+    _id: { $ne: skill._id },
+    $or: [{ key: { $in: keys } }, { aliases: { $in: keys } }],
+  })
+
+  if (clash) {
+    throw skillError(`"${clash.name}" already uses one of these names or aliases`, 409)
+  }
+}
+
+// Keep a user's proficiencies in step with their catalogue skills: new skills start at the default
+// level, dropped skills lose their proficiency
+const syncProficiencies = (user, skills) => {
+  user.skillProficiencies = user.skillProficiencies.filter((proficiency) =>
+    skills.some((skill) => skill._id.equals(proficiency.skill)),
+  )
+
+  skills
+    .filter((skill) => !user.skillProficiencies.some((proficiency) => skill._id.equals(proficiency.skill)))
+    .forEach((skill) => user.skillProficiencies.push({ skill: skill._id, level: DEFAULT_PROFICIENCY }))
+}
+
+// Replace a user's proficiencies with [{ skill, level, lastUsedAt }] (skill by name, alias or id).
+// Changing the level of an endorsed skill drops the endorsement.
+const setProficiencies = async (user, entries) => {
+  if (!Array.isArray(entries) || entries.some((entry) => !entry || !entry.skill)) {
+    throw skillError("Skills must be a list of { skill, level, lastUsedAt }")
+  }
+
+  const { skills, unknown } = await resolveSkills(entries.map((entry) => entry.skill))
+
+  if (unknown.length > 0) {
+    throw skillError(`Unknown skills: ${unknown.join(", ")}. Add them to the skill catalogue first.`)
+  }
+
+  const proficiencies = skills.map((skill) => {
+    const entry = entries.find((e) => {
+      const key = skillKey(e.skill)
+      return e.skill.toString() === skill._id.toString() || key === skill.key || skill.aliases.includes(key)
+    })
+    const level = Number.parseInt(entry.level) || DEFAULT_PROFICIENCY
+    const current = user.skillProficiencies.find((proficiency) => skill._id.equals(proficiency.skill))
+
+    if (level < MIN_PROFICIENCY || level > MAX_PROFICIENCY) {
+      throw skillError(`Proficiency for ${skill.name} must be between ${MIN_PROFICIENCY} and ${MAX_PROFICIENCY}`)
+    }
+
+    const keepEndorsement = current && current.level === level
+    return {
+      skill: skill._id,
+      level,
+      lastUsedAt: entry.lastUsedAt !== undefined ? entry.lastUsedAt : current && current.lastUsedAt,
+      endorsedBy: keepEndorsement ? current.endorsedBy : undefined,
+      endorsedAt: keepEndorsement ? current.endorsedAt : undefined,
+    }
+  })
+
+  // Free-form skills outside the catalogue are kept until they are migrated
+  const { unknown: freeForm } = await resolveSkills(user.skills)
+
+  user.skillProficiencies = proficiencies
+  user.skills = [...skills.map((skill) => skill.name), ...freeForm]
+}
+
+module.exports = {
+  MIN_PROFICIENCY,
+  MAX_PROFICIENCY,
+  DEFAULT_PROFICIENCY,
+  resolveSkills,
+  canonicalSkillNames,
+  skillQuery,
+  assertNamesFree,
+  syncProficiencies,
+  setProficiencies,
+}
@@ -0,0 +1,44 @@
+const crypto = require("crypto")
+const path = require("path")
+const local = require("./local")
+
+// Drivers implement put(key, buffer, { mimeType }), get(key) -> readable stream and remove(key).
+// Register another backend (S3-compatible, ...) with registerDriver and select it with STORAGE_DRIVER.
+const drivers = {
+  local,
+}
+
+const registerDriver = (name, driver) => {
+  drivers[name] = driver
+}
+
+const getDriver = () => {
+  const name = process.env.STORAGE_DRIVER || "local"
+  const driver = drivers[name]
+
+  if (!driver) {
+    throw new Error(`Unknown storage driver '${name}'`)
+  }
+
+  return driver
+}
+
+// Store an uploaded file under the given prefix and return its storage key
+const saveFile = async (prefix, file) => {
+  const extension = path.extname(file.originalname).toLowerCase().replace(/[^.\w]/g, "")
+  const key = `${prefix}/${Date.now()}-${crypto.randomBytes(8).toString("hex")}${extension}`
+
+  await getDriver().put(key, file.buffer, { mimeType: file.mimetype })
+  return key
+}
+
+const openFile = (key) => getDriver().get(key)
+
+const deleteFile = (key) => getDriver().remove(key)
+
+module.exports = {
+  saveFile,
+  openFile,
+  deleteFile,
+  registerDriver,
+}
@@ -0,0 +1,43 @@
+const fs = require("fs")
+const path = require("path")
+
+// Stores files on the local disk under UPLOAD_DIR (defaults to ./uploads)
+const root = () => path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, "..", "..", "uploads"))
+
+// Resolve a storage key to a path, refusing anything that escapes the upload directory
+const resolveKey = (key) => {
+  const base = root()
+  const filePath = path.resolve(base, key)
+
+  if (!filePath.startsWith(base + path.sep)) {
+    throw new Error(`Invalid storage key '${key}'`)
+  }
+
+  return filePath
+}
+
+const put = async (key, buffer) => {
+  const filePath = resolveKey(key)
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true })
+  await fs.promises.writeFile(filePath, buffer)
+}
+
+const get = async (key) => {
+  const filePath = resolveKey(key)
+  await fs.promises.access(filePath)
+  return fs.createReadStream(filePath)
+}
+
+const remove = async (key) => {
+  try {
+    await fs.promises.unlink(resolveKey(key))
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error
+  }
+}
+
+module.exports = {
+  put,
+  get,
+  remove,
+}
@@ -0,0 +1,130 @@
+const mongoose = require("mongoose")
+const Assignment = require("../models/Assignment")
+const Timesheet = require("../models/Timesheet")
+const PeriodLock = require("../models/PeriodLock")
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const MAX_DAILY_HOURS = 24
+
+const timesheetError = (message, statusCode = 400) => {
+  const error = new Error(message)
+  error.statusCode = statusCode
+  return error
+}
+
+const dayKey = (date) => new Date(date).toISOString().slice(0, 10)
+
+const startOfDay = (date) => new Date(`${dayKey(date)}T00:00:00.000Z`)
+
+// Monday-to-Monday (UTC) bounds of the week containing the given date (default: this week)
+const weekBounds = (value) => {
+  const date = value ? new Date(value) : new Date()
+
+  if (Number.isNaN(date.getTime())) {
+    throw timesheetError("Week must be a date such as 2024-05-13")
+  }
+
+  const day = startOfDay(date)
+  const start = new Date(day.getTime() - ((day.getUTCDay() + 6) % 7) * DAY_MS)
+  return { start, end: new Date(start.getTime() + 7 * DAY_MS) }
+}
+
+// All of a user's time entries dated in [from, to), across assignments.
+// Entries logged before entries recorded their author belong to the assignee.
+const entriesForUser = async (userId, from, to, { includeRejected = true } = {}) => {
+  const user = new mongoose.Types.ObjectId(userId)
+  const entryMatch = { "timeEntries.date": { $gte: from, $lt: to } }
+
+  if (!includeRejected) {
+    entryMatch["timeEntries.status"] = { $ne: "rejected" }
+  }
+
+  return Assignment.aggregate([
+    { $match: { $or: [{ "timeEntries.user": user }, { assignee: user }] } },
+    { $unwind: "$timeEntries" },
+    {
+      $match: {
+        ...entryMatch,
+        $or: [{ "timeEntries.user": user }, { "timeEntries.user": { $exists: false }, assignee: user }],
+      },
+    },
+    {
+      $project: {
+        _id: "$timeEntries._id",
+        date: "$timeEntries.date",
+        hours: "$timeEntries.hours",
+        description: "$timeEntries.description",
+        status: { $ifNull: ["$timeEntries.status", "pending"] },
+        reviewComment: "$timeEntries.reviewComment",
+        assignment: { _id: "$_id", title: "$title", project: "$project" },
+      },
+    },
+    { $sort: { date: 1 } },
+  ])
+}
+
+// Sum entries per calendar day, e.g. { "2024-05-13": 7.5 }
+const dailyTotals = (entries) =>
+  entries.reduce((totals, entry) => {
+    const key = dayKey(entry.date)
+    totals[key] = (totals[key] || 0) + entry.hours
+    return totals
+  }, {})
+
+const findLock = (date) => PeriodLock.findOne({ startDate: { $lte: date }, endDate: { $gt: date } })
+
+// Throw if the date falls inside a locked period
+const assertNotLocked = async (date) => {
+  const lock = await findLock(date)
+
+  if (lock) {
+    const reason = lock.reason ? ` (${lock.reason})` : ""
+    throw timesheetError(`Time on ${dayKey(date)} is in a locked period${reason}`, 423)
+  }
+}
+
+// Throw if the user's entries on this date can no longer be changed: locked period, or the week's
+// timesheet is waiting for review or approved
+const assertEditable = async (userId, date) => {
+  await assertNotLocked(date)
+
+  const { start } = weekBounds(date)
+  const timesheet = await Timesheet.findOne({ user: userId, weekStart: start, status: { $in: ["submitted", "approved"] } })
+
+  if (timesheet) {
+    throw timesheetError(`The timesheet for the week of ${dayKey(start)} is ${timesheet.status} and cannot be changed`, 409)
+  }
+}
+
+// Throw if logging `hours` on `date` would push the user's total for that day past 24 hours
+const assertDailyLimit = async (userId, date, hours, { excludeEntryId } = {}) => {
+  const day = startOfDay(date)
+  const entries = await entriesForUser(userId, day, new Date(day.getTime() + DAY_MS), { includeRejected: false })
+  const logged = entries
+    .filter((entry) => !excludeEntryId || entry._id.toString() !== excludeEntryId.toString())
+    .reduce((total, entry) => total + entry.hours, 0)
+
+  if (logged + hours > MAX_DAILY_HOURS) {
+    throw timesheetError(
+      `Daily total for ${dayKey(day)} would be ${logged + hours} hours across assignments (max ${MAX_DAILY_HOURS})`,
+    )
+  }
+}
+
+// All checks for creating or changing an entry
+const assertCanLogTime = async (userId, date, hours, options) => {
+  await assertEditable(userId, date)
+  await assertDailyLimit(userId, date, hours, options)
+}
+
+module.exports = {
+  DAY_MS,
+  dayKey,
+  weekBounds,
+  entriesForUser,
+  dailyTotals,
+  findLock,
+  assertNotLocked,
+  assertEditable,
+  assertCanLogTime,
+}
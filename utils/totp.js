@@ -0,0 +1,107 @@
+const crypto = require("crypto")
+
+// RFC 6238 time-based one-time passwords (SHA-1, 6 digits, 30 second steps),
+// compatible with Google Authenticator, Authy, 1Password, etc.
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567"
+const STEP_SECONDS = 30
+const DIGITS = 6
+
+const base32Encode = (buffer) => {
+  let bits = 0
+  let value = 0
+  let output = ""
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte
+    bits += 8
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31]
+      bits -= 5
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31]
+  }
+
+  return output
+}
+
+const base32Decode = (input) => {
+  const cleaned = input.replace(/=+$/, "").replace(/\s/g, "").toUpperCase()
+  let bits = 0
+  let value = 0
+  const bytes = []
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char)
+    if (index === -1) {
+      throw new Error("Invalid base32 character")
+    }
+
+    value = (value << 5) | index
+    bits += 5
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255)
+      bits -= 8
+    }
+  }
+
+  return Buffer.from(bytes)
+}
+
+const generateSecret = () => base32Encode(crypto.randomBytes(20))
+
+const currentStep = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS)
+
+const generateCode = (secret, step = currentStep()) => {
+  const counter = Buffer.alloc(8)
+  counter.writeBigUInt64BE(BigInt(step))
+
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest()
+  const offset = hmac[hmac.length - 1] & 0xf
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, "0")
+}
+
+// Returns the matching time step (allowing one step of clock drift either way), or null
+const verifyCode = (secret, code, window = 1) => {
+  const normalized = String(code || "").replace(/\s/g, "")
+  if (!/^\d{6}$/.test(normalized)) {
+    return null
+  }
+
+  const step = currentStep()
+  for (let offset = -window; offset <= window; offset++) {
+    const candidate = generateCode(secret, step + offset)
+    if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(normalized))) {
+      return step + offset
+    }
+  }
+
+  return null
+}
+
+// otpauth:// URI that authenticator apps read from a QR code
+const provisioningUri = (secret, accountName, issuer = process.env.TOTP_ISSUER || "Engineering Resource Management") => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`)
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  })
+
+  return `otpauth://totp/${label}?${params.toString()}`
+}
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  verifyCode,
+  provisioningUri,
+}
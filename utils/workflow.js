@@ -0,0 +1,108 @@
+// Default assignment workflow: each status maps to the statuses it may move to.
+// Projects can replace it (admins only) through PUT /api/projects/:id/workflow.
+const DEFAULT_TRANSITIONS = {
+  pending: ["active", "on-hold", "cancelled"],
+  active: ["in-progress", "on-hold", "cancelled"],
+  "in-progress": ["review", "on-hold", "cancelled"],
+  review: ["completed", "in-progress", "cancelled"],
+  "on-hold": ["active", "in-progress", "cancelled"],
+  completed: ["in-progress"],
+  cancelled: [],
+}
+
+const STATUSES = Object.keys(DEFAULT_TRANSITIONS)
+
+// Statuses counted as ongoing work in workload and analytics queries
+const ACTIVE_STATUSES = ["active", "in-progress", "review"]
+
+// Entering these statuses needs a reason
+const REASON_REQUIRED = ["on-hold", "cancelled"]
+
+// Entering these statuses needs full "assignment:update" rights, not just progress updates
+const APPROVAL_REQUIRED = ["completed", "cancelled"]
+
+const workflowError = (message, statusCode = 400) => {
+  const error = new Error(message)
+  error.statusCode = statusCode
+  return error
+}
+
+const getTransitions = (project) => (project && project.workflow) || DEFAULT_TRANSITIONS
+
+// Validate a custom transition map, returning a list of problems (empty when valid)
+const validateTransitions = (transitions) => {
+  if (!transitions || typeof transitions !== "object" || Array.isArray(transitions)) {
+    return ["Workflow must map each status to a list of allowed next statuses"]
+  }
+
+  const errors = []
+
+  STATUSES.forEach((status) => {
+    if (!Array.isArray(transitions[status])) {
+      errors.push(`Missing transitions for status '${status}'`)
+    }
+  })
+
+  Object.entries(transitions).forEach(([from, targets]) => {
+    if (!STATUSES.includes(from)) {
+      errors.push(`Unknown status '${from}'`)
+      return
+    }
+
+    const targetList = Array.isArray(targets) ? targets : []
+    targetList.forEach((to) => {
+      if (!STATUSES.includes(to)) {
+        errors.push(`Unknown status '${to}' in transitions from '${from}'`)
+      } else if (to === from) {
+        errors.push(`Status '${from}' cannot transition to itself`)
+      }
+    })
+  })
+
+  return errors
+}
+
+// Move an assignment to a new status, or throw an error carrying statusCode.
+// Does not save; the reason is picked up by the history hook on save.
+const applyTransition = (assignment, to, { project, reason, canApprove } = {}) => {
+  const from = assignment.status
+
+  if (!STATUSES.includes(to)) {
+    throw workflowError(`Unknown status '${to}'`)
+  }
+
+  if (from === to) {
+    throw workflowError(`Assignment is already '${to}'`)
+  }
+
+  const allowed = getTransitions(project)[from] || []
+  if (!allowed.includes(to)) {
+    const options = allowed.length > 0 ? allowed.map((status) => `'${status}'`).join(", ") : "none"
+    throw workflowError(`Cannot move assignment from '${from}' to '${to}'. Allowed next statuses: ${options}`)
+  }
+
+  if (APPROVAL_REQUIRED.includes(to) && !canApprove) {
+    throw workflowError(`Only a project manager or admin can move an assignment to '${to}'`, 403)
+  }
+
+  if (to === "completed" && assignment.progress < 100) {
+    throw workflowError("Assignment progress must be 100% before it can be completed")
+  }
+
+  if (REASON_REQUIRED.includes(to) && !(reason && reason.trim())) {
+    throw workflowError(`A reason is required to move an assignment to '${to}'`)
+  }
+
+  assignment.status = to
+  assignment.completedAt = to === "completed" ? new Date() : undefined
+  assignment.$locals.statusReason = reason ? reason.trim() : undefined
+}
+
+module.exports = {
+  DEFAULT_TRANSITIONS,
+  STATUSES,
+  ACTIVE_STATUSES,
+  getTransitions,
+  validateTransitions,
+  applyTransition,
+}